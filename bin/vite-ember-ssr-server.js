@@ -0,0 +1,116 @@
+#!/usr/bin/env -S node --experimental-vm-modules
+import cluster from 'node:cluster';
+import ViteEmberSsrServer, { defaults, envs } from '../index.js';
+import {
+  configFileNames,
+  describeOptions,
+  envOptions,
+  findConfigFile,
+  formatOptions,
+  loadConfigFile,
+  mergeOptions,
+  parseArgs,
+  validateOptions,
+} from '../src/server-options.js';
+
+const usage = `Usage: vite-ember-ssr-server [serve|prerender] [options]
+
+Serves a built Ember app, e.g.
+
+  vite-ember-ssr-server serve --dist ./dist --port 4200 --workers 4
+
+or renders pages of the app ahead of time, into <url>/index.html files of
+--out (the client path by default), which the server then serves ahead of
+the app. Pages are given by URL, or crawled from seed URLs by following their
+links. Exits with an error if any page isn't rendered with a 200 status code:
+
+  vite-ember-ssr-server prerender --dist ./dist --urls /,/docs --crawl
+
+Options are merged by precedence, from highest to lowest:
+
+  1. command line flags
+  2. environment variables
+  3. the config file
+  4. the defaults
+
+Relative paths are resolved against the working directory, or against the
+directory of the config file for the paths it sets.
+
+  -c, --config <path>  config file, defaults to the first found of:
+                       ${configFileNames.join(', ')}
+  --print-config       prints the merged options and their sources, and exits
+  -h, --help           prints this help
+
+Boolean flags are negated with a --no- prefix, e.g. --no-chunked-response.
+JSON values are passed as --flag='{"key":"value"}'. Functions and objects,
+e.g. a downloader or middleware, can only be set in a JavaScript config file,
+default exporting the options or a function of the mode returning them.
+
+${describeOptions(envs)}
+`;
+
+const commands = ['serve', 'prerender'];
+
+function formatPrerenderReport({ pages, written }, outputPath) {
+  const lines = pages.map(({ url, statusCode, file, location, reason }) => {
+    const detail = file || (location && `-> ${location}`) || reason || '';
+    return `  ${String(statusCode ?? 'ERR').padEnd(3)}  ${url}  ${detail}`.trimEnd();
+  });
+  const skipped = pages.length - written.length;
+  lines.push(`prerendered ${written.length} of ${pages.length} pages into ${outputPath}` +
+    (skipped ? `, ${skipped} not written` : ''));
+  return lines.join('\n') + '\n';
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+
+  if (args.help) {
+    process.stdout.write(usage);
+    return;
+  }
+  if (!commands.includes(args.command)) {
+    const error = new Error(`Unknown command '${args.command}', see --help`);
+    error.name = 'ConfigError';
+    throw error;
+  }
+
+  const flags = args.options;
+  const env = envOptions(envs);
+  const mode = flags.mode ?? env.mode ?? 'production';
+  const configPath = findConfigFile(args.config);
+  const file = configPath ? await loadConfigFile(configPath, mode) : {};
+
+  const { options, sources } = mergeOptions({ defaults: defaults(mode), file, env, flags });
+  // Workers are given the paths of the app by the primary, e.g. those of the
+  // downloaded app, in addition to the options of the primary
+  if (cluster.isPrimary) {
+    validateOptions(options, { sources, envs, configFile: configPath });
+  }
+
+  if (args.printConfig) {
+    if (configPath) {
+      process.stdout.write(`# config file: ${configPath}\n`);
+    }
+    process.stdout.write(formatOptions(options, sources) + '\n');
+    return;
+  }
+
+  const server = new ViteEmberSsrServer(options);
+
+  if (args.command === 'prerender') {
+    const report = await server.prerender();
+    process.stdout.write(formatPrerenderReport(report, options.prerenderPath || server.ssrPaths.clientPath));
+    if (report.failed.length) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  await server.start();
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err.name === 'ConfigError' ? err.message : err.stack);
+  process.exitCode = 1;
+});
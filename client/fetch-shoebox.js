@@ -0,0 +1,66 @@
+/*
+ * Browser helper that replays the `fetch` responses captured during the
+ * server render (see the `fetchShoebox` server option), so that the first
+ * render in the browser doesn't request the same data again.
+ *
+ * Call it before the app boots. Each captured response is replayed once, and
+ * the original `fetch` is restored once all of them have been replayed, or
+ * when the returned function is called, e.g. after the first render.
+ *
+ * @example
+ * import installFetchShoebox from 'vite-ember-ssr-server/client/fetch-shoebox.js';
+ *
+ * const uninstall = installFetchShoebox();
+ * await app.visit(location.pathname);
+ * uninstall();
+ *
+ * @param {Object} [options]
+ * @param {Window} [options.window] the global object whose `fetch` is wrapped
+ * @returns {Function} restores the original `fetch`
+ */
+export default function installFetchShoebox(options = {}) {
+  const window = options.window || globalThis;
+  const { document, location } = window;
+  const originalFetch = window.fetch;
+  const entries = new Map();
+
+  for (const script of document.querySelectorAll('script[type="ssr/shoebox"][data-fetch-key]')) {
+    entries.set(script.getAttribute('data-fetch-key'), script);
+  }
+
+  function uninstall() {
+    entries.clear();
+    if (window.fetch === shoeboxFetch) {
+      window.fetch = originalFetch;
+    }
+  }
+
+  function shoeboxFetch(input, init) {
+    const isRequest = typeof input === 'object' && input !== null && 'url' in input;
+    const method = (init?.method || (isRequest ? input.method : 'GET')).toUpperCase();
+    const url = new URL(isRequest ? input.url : String(input), location.href).href;
+    const key = `${method} ${url}`;
+    const script = entries.get(key);
+
+    if (!script) {
+      return originalFetch.call(window, input, init);
+    }
+
+    entries.delete(key);
+    if (!entries.size) {
+      uninstall();
+    }
+
+    const { status, body } = JSON.parse(script.textContent);
+    return Promise.resolve(new Response(JSON.stringify(body), {
+      status,
+      headers: { 'content-type': 'application/json' },
+    }));
+  }
+
+  if (entries.size) {
+    window.fetch = shoeboxFetch;
+  }
+
+  return uninstall;
+}
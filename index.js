@@ -1,12 +1,27 @@
 import assert from 'node:assert';
 import cluster from 'node:cluster';
+import http from 'node:http';
 import os from 'node:os';
-import {  dirname, isAbsolute, join } from 'node:path';
+import {  dirname, isAbsolute, join, resolve } from 'node:path';
 
+import EmberSsr from './src/ember-ssr.js';
+import Metrics from './src/metrics.js';
+import Prerenderer from './src/prerenderer.js';
 import Ui from './src/ui.js';
+import ViteDev from './src/vite-dev.js';
 import Worker from './src/worker.js';
+import { getSsrServerConfigFromApp, ssrServerConfigKeys } from './src/ssr-server-config.js';
 import SsrPaths from './src/utils/ssr-paths.js';
 
+export { default as FsCache } from './src/caches/fs-cache.js';
+export { default as MemoryCache } from './src/caches/memory-cache.js';
+export { default as DirectoryDownloader } from './src/downloaders/directory-downloader.js';
+export { default as HttpDownloader } from './src/downloaders/http-downloader.js';
+export { default as FsNotifier } from './src/notifiers/fs-notifier.js';
+export { default as SignalNotifier } from './src/notifiers/signal-notifier.js';
+export { default as VersionFileNotifier } from './src/notifiers/version-file-notifier.js';
+export { default as Prerenderer } from './src/prerenderer.js';
+
 const { env } = process;
 
 export const envs = {
@@ -16,31 +31,98 @@ export const envs = {
   ssrPath:    'SSR_PATH',
   host:       'SERVER_HOST',
   port:       'SERVER_PORT',
+  renderTimeout: 'SSR_RENDER_TIMEOUT',
+  shutdownTimeout: 'SHUTDOWN_TIMEOUT',
+  metricsPort: 'METRICS_PORT',
+  logLevel:   'LOG_LEVEL',
+  logFormat:  'LOG_FORMAT',
+  root:       'VITE_ROOT',
+  ssrEntry:   'SSR_ENTRY',
+  tlsCert:    'TLS_CERT',
+  tlsKey:     'TLS_KEY',
+  purgeToken: 'SSR_PURGE_TOKEN',
+  workerCount: 'WORKER_COUNT',
+  maxConcurrentRenders: 'SSR_MAX_CONCURRENT_RENDERS',
+  maxSandboxQueueSize: 'SANDBOX_QUEUE_SIZE',
 };
 
 export function defaults(mode = 'production') {
   return {
     dev: false,
     mode,
+    root:       null,
+    ssrEntry:   null,
     distPath:   null,
     clientPath: null,
     ssrPath:    null,
     downloader: null,
     host:       'localhost',
     port:       4200,
+    tlsCert:    null,
+    tlsKey:     null,
+    tlsCa:      null,
+    tlsPassphrase: null,
+    http2:      false,
+    httpRedirectPort: null,
     noGzip:     false,
     baseIndex:  'index.html',
     username:   null,
     password:   null,
     ui:         null,
     log:        null,
+    logLevel:   'info',
+    logFormat:  'pretty',
+    logSinks:   null,
     notifier:   null,
     cache:      null,
+    cacheVary:  null,
+    cacheKey:   null,
+    purgePath:  '/_ssr/purge',
+    purgeToken: null,
+    prerenderPath: null,
+    prerenderUrls: ['/'],
+    prerenderCrawl: false,
+    prerenderConcurrency: 4,
     httpServer: null,
+    workerCount:         null,
+    maxSandboxQueueSize: null,
     chunkedResponse:     true,
+    streamingResponse:   false,
+    renderTimeout:       null,
+    renderTimeoutRoutes: null,
+    routeRules:          null,
+    visitOptions:        null,
+    renderMethods:       null,
+    bodyLimit:           '100kb',
+    maxConcurrentRenders: null,
+    maxQueuedRenders:    100,
+    maxQueueWait:        10000,
+    shedPolicy:          'unavailable',
+    retryAfter:          5,
+    errorPolicy:         'shell',
+    errorPage:           '500.html',
+    errorPath:           '/error',
+    onRenderError:       null,
+    noPreloadHeaders:    false,
+    noEarlyHints:        false,
+    noHealthChecks:      false,
+    healthPaths:         null,
+    metricsPort:         null,
+    metricsHost:         null,
+    metricsPath:         '/metrics',
+    metricsInterval:     5000,
+    requestIdHeader:     'X-Request-Id',
+    shutdownTimeout:     30000,
+    startupTimeout:      60000,
+    restartDelay:        1000,
+    maxRestartDelay:     30000,
+    maxCrashes:          10,
+    crashWindow:         60000,
     beforeMiddleware:    null,
     afterMiddleware:     null,
     buildSandboxGlobals: null,
+    fetchOptions:        null,
+    fetchShoebox:        null,
   };
 }
 
@@ -49,6 +131,8 @@ const rootPath = dirname(process.argv[1]);
 export default class ViteEmberSsrServer {
   dev;
   mode;
+  root;
+  ssrEntry;
   distPath;
   clientPath;
   ssrPath;
@@ -56,23 +140,84 @@ export default class ViteEmberSsrServer {
   downloader;
   host;
   port;
+  tlsCert;
+  tlsKey;
+  tlsCa;
+  tlsPassphrase;
+  http2;
+  httpRedirectPort;
   noGzip;
   baseIndex;
   username;
   password;
   ui;
   log;
+  logLevel;
+  logFormat;
+  logSinks;
   notifier;
   cache;
+  cacheVary;
+  cacheKey;
+  purgePath;
+  purgeToken;
+  prerenderPath;
+  prerenderUrls;
+  prerenderCrawl;
+  prerenderConcurrency;
   httpServer;
+  workerCount;
+  maxSandboxQueueSize;
   chunkedResponse;
+  streamingResponse;
+  renderTimeout;
+  renderTimeoutRoutes;
+  routeRules;
+  visitOptions;
+  renderMethods;
+  bodyLimit;
+  maxConcurrentRenders;
+  maxQueuedRenders;
+  maxQueueWait;
+  shedPolicy;
+  retryAfter;
+  errorPolicy;
+  errorPage;
+  errorPath;
+  onRenderError;
+  noPreloadHeaders;
+  noEarlyHints;
+  noHealthChecks;
+  healthPaths;
+  metricsPort;
+  metricsHost;
+  metricsPath;
+  metricsInterval;
+  requestIdHeader;
+  shutdownTimeout;
+  startupTimeout;
+  restartDelay;
+  maxRestartDelay;
+  maxCrashes;
+  crashWindow;
   beforeMiddleware;
   afterMiddleware;
   buildSandboxGlobals;
+  fetchOptions;
+  fetchShoebox;
 
   vite;
 
-  nextRequestId = 1;
+  // aggregate of the metrics sent by the workers
+  metrics = new Metrics();
+  metricsServer = null;
+
+  // workers being replaced or stopped, which must not be forked again
+  retiredWorkers = new WeakSet();
+
+  // times of the recent worker crashes
+  crashes = [];
+  unhealthy = false;
 
   constructor(options) {
     options ||= {};
@@ -81,8 +226,11 @@ export default class ViteEmberSsrServer {
       ...defaultOptions,
       ...(options.defaults || {}),
     };
+    // `false` and `0` are kept, e.g. `--no-chunked-response` or
+    // `--restart-delay 0`, empty strings are unset, e.g. `SERVER_PORT=`
+    const unset = value => value === '' ? undefined : value;
     for (const o of Object.keys(defaultOptions)) {
-      this[o] = (options[o] ?? env[envs[o]]) || combinedDefaultOptions[o];
+      this[o] = unset(options[o]) ?? unset(env[envs[o]]) ?? combinedDefaultOptions[o];
     }
 
     this.ssrPaths = new SsrPaths({
@@ -90,31 +238,27 @@ export default class ViteEmberSsrServer {
       clientPath: this._absolutePath(this.clientPath),
       ssrPath: this._absolutePath(this.ssrPath),
     });
-    this.ui ||= new Ui();
+    this.ui ||= new Ui({
+      level: this.logLevel,
+      format: this.logFormat,
+      sinks: this.logSinks,
+    });
 
     this.propagateUI();
 
     if (cluster.isWorker) {
-      this.worker = new Worker({
-        ui: this.ui,
-        ssrPaths: this.ssrPaths,
-        cache: this.cache,
-        gzip: !this.noGzip,
-        host: this.host,
-        port: this.port,
-        username: this.username,
-        password: this.password,
-        httpServer: this.httpServer,
-        beforeMiddleware: this.beforeMiddleware,
-        afterMiddleware: this.afterMiddleware,
-        buildSandboxGlobals: this.buildSandboxGlobals,
-        chunkedResponse: this.chunkedResponse,
-        log: this.log,
-      });
+      this.worker = new Worker(this.buildWorkerOptions());
 
       this.worker.start();
+    } else if (this.dev) {
+      this.root = this._absolutePath(this.root) || process.cwd();
+
+      assert(
+        this.ssrEntry,
+        'ViteEmberSsrServer must be provided with an ssrEntry option in development mode.'
+      );
     } else {
-      this.workerCount = options.workerCount ||
+      this.workerCount = Number(this.workerCount) ||
         (process.env.NODE_ENV === 'test' ? 1 : null) ||
         os.cpus().length;
 
@@ -129,26 +273,227 @@ export default class ViteEmberSsrServer {
     }
   }
 
+  buildWorkerOptions() {
+    return {
+      ui: this.ui,
+      ssrPaths: this.ssrPaths,
+      cache: this.cache,
+      cacheVary: this.cacheVary,
+      cacheKey: this.cacheKey,
+      purgePath: this.purgePath,
+      purgeToken: this.purgeToken,
+      prerenderPath: this._absolutePath(this.prerenderPath),
+      renderMethods: this.renderMethods,
+      bodyLimit: this.bodyLimit,
+      gzip: !this.noGzip,
+      host: this.host,
+      port: this.port,
+      tls: this.buildTlsOptions(),
+      http2: this.http2,
+      httpRedirectPort: this.httpRedirectPort,
+      username: this.username,
+      password: this.password,
+      httpServer: this.httpServer,
+      beforeMiddleware: this.beforeMiddleware,
+      afterMiddleware: this.afterMiddleware,
+      buildSandboxGlobals: this.buildSandboxGlobals,
+      maxSandboxQueueSize: Number(this.maxSandboxQueueSize) || null,
+      fetchOptions: this.fetchOptions,
+      fetchShoebox: this.fetchShoebox,
+      chunkedResponse: this.chunkedResponse,
+      streamingResponse: this.streamingResponse,
+      renderTimeout: this.renderTimeout,
+      renderTimeoutRoutes: this.renderTimeoutRoutes,
+      routeRules: this.routeRules,
+      visitOptions: this.visitOptions,
+      maxConcurrentRenders: Number(this.maxConcurrentRenders) || null,
+      maxQueuedRenders: Number(this.maxQueuedRenders),
+      maxQueueWait: Number(this.maxQueueWait),
+      shedPolicy: this.shedPolicy,
+      retryAfter: this.retryAfter,
+      errorPolicy: this.errorPolicy,
+      errorPage: this.errorPage,
+      errorPath: this.errorPath,
+      onRenderError: this.onRenderError,
+      preloadHeaders: !this.noPreloadHeaders,
+      earlyHints: !this.noEarlyHints,
+      healthChecks: !this.noHealthChecks,
+      healthPaths: this.healthPaths,
+      metrics: Boolean(this.metricsPort),
+      metricsInterval: Number(this.metricsInterval),
+      requestIdHeader: this.requestIdHeader,
+      shutdownTimeout: this.shutdownTimeout,
+      log: this.log,
+    };
+  }
+
+  buildTlsOptions() {
+    if (!this.tlsCert && !this.tlsKey) {
+      return null;
+    }
+    // PEM contents or paths of PEM files
+    let pathOrPem = value => typeof value === 'string' && !value.includes('-----BEGIN')
+      ? this._absolutePath(value) : value;
+    return {
+      cert: pathOrPem(this.tlsCert),
+      key: pathOrPem(this.tlsKey),
+      ca: pathOrPem(this.tlsCa),
+      passphrase: this.tlsPassphrase,
+    };
+  }
+
   start() {
     if (cluster.isWorker) {
       return;
     }
 
+    this.bindSignals();
+    this.serveMetrics();
+
+    if (this.dev) {
+      return this.startDev();
+    }
+
     return this.initializeApp()
       .then(() => this.subscribeToNotifier())
       .then(() => this.forkWorkers())
-      .then(() => {
-        if (this.initializationError) {
-          this.broadcast({ event: 'error', error: this.initializationError.stack });
+      .catch(err => {
+        this.ui.writeLine(err.stack);
+      });
+  }
+
+  /**
+   * Serves the app from a single process, loading it through a Vite dev
+   * server in middleware mode, and rebuilds the sandboxes whenever files of
+   * the app change. The config of the server is read from the
+   * `config/environment.js` of the app, rather than from the `package.json`
+   * of a build.
+   */
+  startDev() {
+    let vite;
+    return ViteDev.create({ root: this.root })
+      .then(server => {
+        vite = this.vite = server;
+        if (!this.ssrPaths.hasPath) {
+          this.ssrPaths.setPaths({
+            clientPath: vite.root,
+            ssrPath: resolve(vite.root, vite.server.config.build.outDir),
+          });
         }
+        return this.loadDevSsrConfig(vite.root);
+      })
+      .then(ssrConfig => {
+        this.ui.writeLine(`starting development mode; root=${vite.root}; ssrEntry=${this.ssrEntry}`);
+
+        this.worker = new Worker({
+          ...this.buildWorkerOptions(),
+          vite,
+          ssrEntry: this.ssrEntry,
+          ssrConfig,
+          reportMetrics: metrics => this.metrics.merge(metrics),
+        });
+
+        vite.onUpdate(files => {
+          this.ui.writeLine(`reloading sandboxes; changed=${files.join(', ')}`);
+          this.worker.reload();
+        });
+
+        return this.worker.start();
       })
       .catch(err => {
         this.ui.writeLine(err.stack);
       });
   }
 
+  /*
+   * The config of the server in development mode, from the app, or null to
+   * read it from the `package.json` of the SSR build, e.g. without a
+   * `config/environment.js`.
+   */
+  loadDevSsrConfig(root) {
+    return getSsrServerConfigFromApp(root, this.mode)
+      .then(config => {
+        if (!config?.name) {
+          return null;
+        }
+        // serialized like in the `package.json` of a build
+        const ssrServer = { ...config.ssrServer };
+        ssrServer.hostWhitelist = ssrServerConfigKeys.hostWhitelist.save(ssrServer.hostWhitelist);
+        return { name: config.name, ssrServer };
+      })
+      .catch(err => {
+        this.ui.writeLine(`not reading the config of the app; error=${err.message}`);
+        return null;
+      });
+  }
+
+  /**
+   * Gracefully stops all workers: each stops accepting connections and
+   * drains its in-flight requests for up to `shutdownTimeout` ms, then exits.
+   *
+   * @returns {Promise} resolves once all workers have exited
+   */
   stop() {
-    this.broadcast({ event: 'shutdown' });
+    if (this._stopping) {
+      return this._stopping;
+    }
+
+    this.stopping = true;
+    this.metricsServer?.close();
+    this.notifier?.unsubscribe?.();
+
+    if (this.dev) {
+      this._stopping = (this.worker ? this.worker.shutdown() : Promise.resolve())
+        .then(() => this.vite?.close());
+      return this._stopping;
+    }
+
+    this.ui.writeLine('stopping workers');
+    this._stopping = Promise.all(
+      Object.values(cluster.workers).map(worker => this.retireWorker(worker))
+    );
+    return this._stopping;
+  }
+
+  /**
+   * Serves the metrics aggregated from all workers in the Prometheus text
+   * format, at `metricsPath` on `metricsPort`, if set.
+   */
+  serveMetrics() {
+    if (!this.metricsPort) {
+      return;
+    }
+
+    this.metricsServer = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== this.metricsPath) {
+        res.writeHead(404).end();
+        return;
+      }
+      let workers = this.dev ? 1 : Object.values(cluster.workers)
+        .filter(worker => !this.retiredWorkers.has(worker)).length;
+      this.metrics.set('ssr_workers', {}, workers);
+      this.metrics.set('ssr_unhealthy', {}, this.unhealthy ? 1 : 0);
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(this.metrics.format());
+    });
+
+    let host = this.metricsHost || this.host;
+    this.metricsServer.listen(Number(this.metricsPort), host, () => {
+      this.ui.writeLine(`metrics server started; url=http://${host}:${this.metricsPort}${this.metricsPath}`);
+    });
+    this.metricsServer.on('error', err => {
+      this.ui.writeError(`metrics server error: ${err.message}`);
+    });
+  }
+
+  bindSignals() {
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.once(signal, () => {
+        this.ui.writeLine(`received ${signal}, shutting down`);
+        this.stop()
+          .then(() => process.exit(0)); // eslint-disable-line no-process-exit
+      });
+    }
   }
 
   propagateUI() {
@@ -170,6 +515,8 @@ export default class ViteEmberSsrServer {
     // If there's a downloader, it returns a promise for downloading the app
     if (this.downloader) {
       return this.downloadApp()
+        // a later download, e.g. of an update, clears the error of a failed one
+        .then(() => { this.initializationError = null; })
         .catch(err => {
           this.ui.writeLine('Error downloading app');
           this.ui.writeLine(err.stack);
@@ -215,7 +562,7 @@ export default class ViteEmberSsrServer {
         this.ui.writeLine('reloading server');
         this.initializeApp()
           .then(() => this.reload());
-      })
+      }, this.ssrPaths)
         .catch(err => {
           this.ui.writeLine('Error subscribing');
           this.ui.writeLine(err.stack);
@@ -224,6 +571,84 @@ export default class ViteEmberSsrServer {
     }
   }
 
+  /**
+   * Removes cached responses from every worker, or from the cache they
+   * share, by path, path prefix or surrogate key, e.g. once content has
+   * changed:
+   *
+   *     server.purge({ surrogateKeys: ['product-1'], prefixes: ['/products/'] });
+   *
+   * @param {Object} criteria
+   * @param {string[]} [criteria.paths]
+   * @param {string[]} [criteria.prefixes]
+   * @param {string[]} [criteria.surrogateKeys] those given to `SsrInfo#addSurrogateKeys`
+   * @param {boolean} [criteria.all] removes all entries
+   * @returns {Promise}
+   */
+  purge(criteria) {
+    if (this.dev) {
+      return this.worker ? this.worker.purge(criteria) : Promise.resolve();
+    }
+    this.ui.writeLine(`purging cache; criteria=${JSON.stringify(criteria)}`);
+    // a cache shared by the workers, e.g. `FsCache`, is purged once, here,
+    // rather than by each worker
+    if (this.cache?.shared) {
+      return Promise.resolve(this.cache.purge(criteria))
+        .then(count => this.ui.writeLine(`purged cache; entries=${count}; criteria=${JSON.stringify(criteria)}`))
+        .catch(err => this.ui.writeError(`error purging cache: ${err.stack}`));
+    }
+    this.broadcast({ event: 'purge', criteria });
+    return Promise.resolve();
+  }
+
+  /**
+   * Renders pages of the app ahead of time, into `<url>/index.html` files of
+   * the `prerenderPath` directory, or of the client path of the app, which
+   * the workers then serve ahead of the app. The app is downloaded first,
+   * when there's a downloader. See `Prerenderer`.
+   *
+   * @param {Object} [options]
+   * @param {string[]|string} [options.urls] the URLs rendered, or the seeds of the crawl, defaults to `prerenderUrls`
+   * @param {Boolean} [options.crawl] whether to follow the links of the pages, defaults to `prerenderCrawl`
+   * @param {Number} [options.concurrency] the number of pages rendered at once, defaults to `prerenderConcurrency`
+   * @returns {Promise<{ pages: PrerenderedPage[], written: PrerenderedPage[], failed: PrerenderedPage[] }>}
+   */
+  prerender({
+    urls = this.prerenderUrls,
+    crawl = this.prerenderCrawl,
+    concurrency = this.prerenderConcurrency,
+  } = {}) {
+    return this.initializeApp()
+      .then(() => {
+        if (this.initializationError) {
+          throw this.initializationError;
+        }
+
+        let emberSsr = new EmberSsr({
+          ssrPaths: this.ssrPaths,
+          buildSandboxGlobals: this.buildSandboxGlobals,
+          maxSandboxQueueSize: Number(this.maxSandboxQueueSize) || null,
+          fetchOptions: this.fetchOptions,
+          fetchShoebox: this.fetchShoebox,
+          ui: this.ui,
+        });
+        let prerenderer = new Prerenderer({
+          emberSsr,
+          outputPath: this._absolutePath(this.prerenderPath),
+          concurrency: Number(concurrency),
+          crawl,
+          origin: `http://${this.host}:${this.port}`,
+          ui: this.ui,
+        });
+        // e.g. `/,/about` from the command line
+        urls = [].concat(urls).flatMap(url => url.split(',')).map(url => url.trim()).filter(Boolean);
+
+        this.ui.writeLine(`prerendering; urls=${urls.join(', ')}; crawl=${Boolean(crawl)}; path=${prerenderer.outputPath}`);
+        return prerenderer.run(urls)
+          .finally(() => emberSsr._app.destroy());
+      });
+  }
+
   broadcast(message) {
     let workers = cluster.workers;
 
@@ -232,48 +657,215 @@ export default class ViteEmberSsrServer {
     }
   }
 
+  /**
+   * Replaces the workers one at a time: a new worker is forked with the
+   * current paths and, once it is serving, the old one is gracefully stopped.
+   * Reloads requested while one is in progress run after it.
+   *
+   * @returns {Promise} resolves once all workers have been replaced
+   */
   reload() {
-    this.broadcast({ event: 'reload', distPath: this.distPath });
+    this._reloading = (this._reloading || Promise.resolve())
+      .then(() => {
+        // A new build gets a fresh crash budget
+        this.crashes = [];
+        this.unhealthy = false;
+        return this.rollWorkers();
+      })
+      .catch(err => {
+        this.ui.writeLine('Error reloading workers');
+        this.ui.writeLine(err.stack);
+      });
+    return this._reloading;
+  }
+
+  rollWorkers() {
+    let workers = Object.values(cluster.workers)
+      .filter(worker => !this.retiredWorkers.has(worker));
+
+    this.ui.writeLine(`rolling restart; workers=${workers.length}`);
+
+    // The old worker keeps serving if its replacement fails to start
+    return workers.reduce((previous, worker) => previous.then(() => {
+      if (this.stopping) {
+        return;
+      }
+      this.metrics.inc('ssr_worker_restarts_total', { reason: 'reload' });
+      return this.forkWorker({ respawnOnStartupFailure: false })
+        .then(() => this.retireWorker(worker));
+    }), Promise.resolve())
+      .then(() => {
+        // Replace the workers that stopped respawning
+        let missing = this.workerCount - Object.values(cluster.workers)
+          .filter(worker => !this.retiredWorkers.has(worker)).length;
+        if (missing > 0 && !this.stopping) {
+          return this.forkWorkers(missing);
+        }
+      });
+  }
+
+  /**
+   * Asks a worker to shut down gracefully, and kills it if it hasn't exited
+   * shortly after `shutdownTimeout`.
+   *
+   * @returns {Promise} resolves once the worker has exited
+   */
+  retireWorker(worker) {
+    this.retiredWorkers.add(worker);
+
+    return new Promise(resolve => {
+      if (worker.isDead()) {
+        return resolve();
+      }
+
+      let timeout = Number(this.shutdownTimeout);
+      let timer = setTimeout(() => {
+        this.ui.writeLine(`worker ${worker.process.pid} did not exit in time, killing it`);
+        worker.kill('SIGKILL');
+      }, timeout + 5000);
+
+      worker.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+
+      try {
+        worker.send({ event: 'shutdown', timeout });
+      } catch (e) {
+        worker.kill();
+      }
+    });
   }
 
-  forkWorkers() {
+  forkWorkers(count = this.workerCount) {
     let promises = [];
 
-    for (let i = 0; i < this.workerCount; i++) {
+    for (let i = 0; i < count; i++) {
       promises.push(this.forkWorker());
     }
 
-    return Promise.all(promises);
+    // Workers failing to start are respawned, with a backoff
+    return Promise.allSettled(promises);
   }
 
-  forkWorker() {
+  /**
+   * Forks a worker.
+   *
+   * @param {Object} [options]
+   * @param {Boolean} [options.respawnOnStartupFailure=true] whether to fork a new worker if it fails to start
+   * @returns {Promise} resolves once the worker is serving, rejects if it exits or doesn't start within `startupTimeout` ms
+   */
+  forkWorker({ respawnOnStartupFailure = true } = {}) {
     let env = this.buildWorkerEnv();
     let worker = cluster.fork(env);
+    let pid = worker.process.pid;
+    let state = { online: false, reason: null };
 
-    this.ui.writeLine(`forked worker ${worker.process.pid}`);
-
-    worker.on('exit', (code, signal) => {
-      if (signal) {
-        this.ui.writeLine(`worker was killed by signal: ${signal}`);
-      } else if (code !== 0) {
-        this.ui.writeLine(`worker exited with error code: ${code}`);
-      } else {
-        this.ui.writeLine(`worker exited`);
-      }
+    this.ui.writeLine(`forked worker ${pid}`);
 
-      this.forkWorker();
-    });
+    return new Promise((resolve, reject) => {
+      let startupTimer = setTimeout(() => {
+        state.reason = `did not start within ${this.startupTimeout}ms`;
+        worker.kill();
+      }, Number(this.startupTimeout));
 
-    return new Promise(resolve => {
-      this.ui.writeLine('worker online');
       worker.on('message', message => {
-        if (message.event === 'http-online') {
-          resolve();
+        switch (message.event) {
+          case 'http-online':
+            state.online = true;
+            clearTimeout(startupTimer);
+            this.ui.writeLine(`worker ${pid} online`);
+            // reported by the health checks, including those of respawned
+            // workers, and cleared once the app initializes again
+            worker.send({ event: 'error', error: this.initializationError?.stack ?? null });
+            worker.send({ event: 'unhealthy', unhealthy: this.unhealthy });
+            resolve();
+            break;
+          // the first reason is kept, e.g. the startup timeout rather than
+          // the shutdown of the worker it kills
+          case 'startup-error':
+            state.reason ||= message.error;
+            break;
+          case 'exiting':
+            state.reason ||= message.reason;
+            break;
+          case 'metrics':
+            this.metrics.merge(message.metrics);
+            break;
+          case 'purge':
+            this.purge(message.criteria);
+            break;
+        }
+      });
+
+      worker.on('exit', (code, signal) => {
+        clearTimeout(startupTimer);
+        this.metrics.drop({ worker: pid });
+
+        let reason = state.reason ? `; reason=${state.reason}` : '';
+        if (!state.online) {
+          this.ui.writeError(`worker ${pid} failed to start; code=${code}; signal=${signal}${reason}`);
+        } else if (signal) {
+          this.ui.writeLine(`worker ${pid} was killed by signal: ${signal}${reason}`);
+        } else if (code !== 0) {
+          this.ui.writeLine(`worker ${pid} exited with error code: ${code}${reason}`);
+        } else {
+          this.ui.writeLine(`worker ${pid} exited`);
+        }
+
+        if (!state.online) {
+          let error = new Error(`Worker ${pid} failed to start${reason}`);
+          error.name = 'WorkerStartupError';
+          reject(error);
+          if (!respawnOnStartupFailure) {
+            return;
+          }
+        }
+
+        if (!this.stopping && !this.retiredWorkers.has(worker)) {
+          this.respawnWorker();
         }
       });
     });
   }
 
+  /**
+   * Forks a worker to replace one that crashed, after a delay doubling with
+   * each crash within `crashWindow` ms. Past `maxCrashes` crashes within the
+   * window, stops respawning and reports the server as unhealthy until the
+   * next reload.
+   */
+  respawnWorker() {
+    let now = Date.now();
+    this.crashes = this.crashes.filter(time => now - time < this.crashWindow);
+    this.crashes.push(now);
+
+    if (this.crashes.length >= this.maxCrashes) {
+      if (!this.unhealthy) {
+        this.unhealthy = true;
+        this.ui.writeError(
+          `${this.crashes.length} worker crashes within ${this.crashWindow}ms, not respawning workers until the next reload`
+        );
+        // the remaining workers report it to the health checks
+        this.broadcast({ event: 'unhealthy', unhealthy: true });
+      }
+      return;
+    }
+
+    let delay = Math.min(
+      this.restartDelay * 2 ** (this.crashes.length - 1),
+      this.maxRestartDelay
+    );
+    this.ui.writeLine(`respawning worker in ${delay}ms`);
+
+    setTimeout(() => {
+      if (!this.stopping && !this.unhealthy) {
+        this.metrics.inc('ssr_worker_restarts_total', { reason: 'crash' });
+        this.forkWorker().catch(() => {});
+      }
+    }, delay);
+  }
+
   buildWorkerEnv() {
     let env = {};
 
@@ -0,0 +1,124 @@
+import cookie from 'cookie';
+
+// Query params of campaign links, which don't change the page
+export const defaultIgnoredQuery = ['utm_*', 'fbclid', 'gclid', 'msclkid'];
+
+function lower(names) {
+  return (names || []).map(name => name.toLowerCase());
+}
+
+// Requests of signed in users, whose pages are personalized: those with an
+// `Authorization` header or a session cookie, e.g. `connect.sid` or
+// `_app_session`
+export const defaultBypass = {
+  headers: ['authorization'],
+  cookies: ['*session', 'session*', 'sid', 'connect.sid'],
+};
+
+// Exact names, prefixes followed by `*`, or suffixes preceded by `*`
+function matches(patterns, name) {
+  return patterns.some(pattern => pattern.endsWith('*')
+    ? name.startsWith(pattern.slice(0, -1))
+    : pattern.startsWith('*')
+      ? name.endsWith(pattern.slice(1))
+      : name === pattern);
+}
+
+/**
+ * @typedef CacheVary
+ * @property {boolean} [host=false] whether pages vary on the `Host` of the request
+ * @property {boolean|string[]} [query=true] the query params pages vary on, all by default, or none
+ * @property {string[]} [ignoreQuery] query params pages don't vary on, exact names or prefixes followed by `*`, campaign params by default
+ * @property {string[]} [headers] request headers pages vary on, e.g. `Accept-Language`
+ * @property {string[]} [cookies] cookies pages vary on, e.g. a locale
+ * @property {{ headers?: string[], cookies?: string[] }} [bypass] request headers or cookies bypassing the cache when present, cookies being exact names, prefixes followed by `*` or suffixes preceded by `*`; `Authorization` and session cookies by default, see `defaultBypass`
+ */
+/**
+ * Builds the cache keys of requests from declarative rules: the path of the
+ * request, followed by the query params, headers and cookies its page varies
+ * on. Requests bypassing the cache have no key.
+ *
+ * @example
+ * new CacheKey({
+ *   query: ['page', 'sort'],
+ *   headers: ['Accept-Language'],
+ *   cookies: ['locale'],
+ *   bypass: { cookies: ['session'] },
+ * }, (req, key) => `${key} mobile=${req.get('Sec-CH-UA-Mobile') === '?1'}`);
+ *
+ * @param {CacheVary} [vary]
+ * @param {Function} [build] `(req, key) => string|null` customizing the key built from the rules, e.g. adding the device class, or returning null to bypass the cache
+ */
+export default class CacheKey {
+  constructor(vary, build) {
+    vary ||= {};
+    this.host = vary.host ?? false;
+    this.query = vary.query ?? true;
+    this.ignoreQuery = vary.ignoreQuery || defaultIgnoredQuery;
+    this.headers = lower(vary.headers);
+    this.cookies = vary.cookies || [];
+    const bypass = vary.bypass ?? defaultBypass;
+    this.bypassHeaders = lower(bypass.headers);
+    this.bypassCookies = bypass.cookies || [];
+    this.customBuild = build || null;
+  }
+
+  /**
+   * @param {Request} req
+   * @returns {string|null} the key of the request, or null to bypass the cache
+   */
+  build(req) {
+    const cookies = this.parseCookies(req);
+    if (this.bypassHeaders.some(name => req.headers[name] !== undefined)
+      || Object.keys(cookies).some(name => matches(this.bypassCookies, name))) {
+      return null;
+    }
+
+    const url = new URL(req.originalUrl ?? req.url, 'http://localhost');
+    let key = (this.host ? String(req.headers.host ?? '').toLowerCase() : '') + url.pathname;
+
+    const query = [...url.searchParams]
+      .filter(([name]) => Array.isArray(this.query) ? this.query.includes(name) : this.query)
+      .filter(([name]) => !matches(this.ignoreQuery, name))
+      .sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0);
+    if (query.length) {
+      key += '?' + new URLSearchParams(query);
+    }
+
+    for (const name of this.headers) {
+      key += ` ${name}=${String(req.headers[name] ?? '').trim().toLowerCase()}`;
+    }
+    for (const name of this.cookies) {
+      key += ` cookie:${name}=${cookies[name] ?? ''}`;
+    }
+
+    return this.customBuild ? this.customBuild(req, key) : key;
+  }
+
+  /**
+   * The headers of a background render of the page of a request, without
+   * its `Authorization` and cookies, but those the page varies on, so it's
+   * stored under the same key, and isn't rendered for the user.
+   *
+   * @param {Request} req
+   * @returns {Object}
+   */
+  revalidationHeaders(req) {
+    const headers = { ...req.headers };
+    delete headers.authorization;
+    delete headers.cookie;
+
+    const cookies = this.parseCookies(req);
+    const kept = this.cookies
+      .filter(name => cookies[name] !== undefined)
+      .map(name => cookie.serialize(name, cookies[name]));
+    if (kept.length) {
+      headers.cookie = kept.join('; ');
+    }
+    return headers;
+  }
+
+  parseCookies(req) {
+    return req.headers.cookie ? cookie.parse(req.headers.cookie) : {};
+  }
+}
@@ -0,0 +1,156 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import ResponseCache from './response-cache.js';
+
+/**
+ * Caches rendered responses in files of a directory, shared by the workers
+ * and kept across restarts. Beyond `maxEntries` or `maxSize`, the least
+ * recently used entries are removed, by the modification time of their
+ * files, which is updated when they are read. Purges read every entry, so
+ * they're run once, by the primary process, rather than by each worker.
+ *
+ * @example
+ * import ViteEmberSsrServer, { FsCache } from 'vite-ember-ssr-server';
+ *
+ * new ViteEmberSsrServer({
+ *   distPath: 'dist',
+ *   cache: new FsCache({ path: '/var/cache/app', ttl: 5 * 60 * 1000 }),
+ * }).start();
+ *
+ * @param {Object} options see {@link ResponseCache} for the other options
+ * @param {string} options.path the directory of the entries
+ * @param {Number} [options.maxEntries=10000]
+ * @param {Number} [options.maxSize=524288000] bytes of the entries, 500MB by default
+ */
+export default class FsCache extends ResponseCache {
+  constructor(options = {}) {
+    super(options);
+    if (!options.path) {
+      throw new Error('FsCache needs the path of a directory to store entries in');
+    }
+    this.path = resolve(options.path);
+    this.maxEntries = options.maxEntries ?? 10000;
+    this.maxSize = options.maxSize ?? 500 * 1024 * 1024;
+    this.shared = true;
+    // sizes of the entry files, by name, as last seen
+    this.files = null;
+    this.size = 0;
+  }
+
+  file(key) {
+    return join(this.path, createHash('sha256').update(key).digest('hex') + '.json');
+  }
+
+  async read(key) {
+    const file = this.file(key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+      // missing, or being replaced
+      return null;
+    }
+    if (entry.key !== key) {
+      return null;
+    }
+    const now = new Date();
+    fs.utimes(file, now, now).catch(() => {});
+    return entry;
+  }
+
+  async write(key, entry, size) {
+    if (size > this.maxSize) {
+      return false;
+    }
+    if (!this.files) {
+      await this.scan();
+    }
+
+    const file = this.file(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    const data = JSON.stringify({ key, ...entry });
+    await fs.writeFile(tmp, data);
+    await fs.rename(tmp, file);
+
+    this.track(file, Buffer.byteLength(data));
+    if (this.files.size > this.maxEntries || this.size > this.maxSize) {
+      await this.prune();
+    }
+    return true;
+  }
+
+  async remove(key) {
+    const file = this.file(key);
+    await fs.rm(file, { force: true });
+    this.track(file, 0);
+  }
+
+  async list() {
+    const entries = [];
+    for (const { file } of await this.scan()) {
+      try {
+        const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+        entries.push([entry.key, entry]);
+      } catch (e) {
+        // removed or being replaced meanwhile
+      }
+    }
+    return entries;
+  }
+
+  async clear() {
+    await fs.rm(this.path, { recursive: true, force: true });
+    this.files = null;
+    this.size = 0;
+  }
+
+  track(file, size) {
+    if (!this.files) {
+      return;
+    }
+    this.size += size - (this.files.get(file) ?? 0);
+    if (size) {
+      this.files.set(file, size);
+    } else {
+      this.files.delete(file);
+    }
+  }
+
+  /**
+   * Lists the entry files, including those written by the other workers.
+   *
+   * @returns {Promise<{ file: string, size: Number, mtimeMs: Number }[]>}
+   */
+  async scan() {
+    await fs.mkdir(this.path, { recursive: true });
+    const stats = [];
+    for (const name of await fs.readdir(this.path)) {
+      if (!name.endsWith('.json')) {
+        continue;
+      }
+      const file = join(this.path, name);
+      try {
+        const { size, mtimeMs } = await fs.stat(file);
+        stats.push({ file, size, mtimeMs });
+      } catch (e) {
+        // removed by another worker meanwhile
+      }
+    }
+
+    this.files = new Map(stats.map(({ file, size }) => [file, size]));
+    this.size = stats.reduce((total, { size }) => total + size, 0);
+    return stats;
+  }
+
+  async prune() {
+    const stats = (await this.scan()).sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const { file } of stats) {
+      if (this.files.size <= this.maxEntries && this.size <= this.maxSize) {
+        break;
+      }
+      await fs.rm(file, { force: true });
+      this.track(file, 0);
+    }
+  }
+}
@@ -0,0 +1,73 @@
+import ResponseCache from './response-cache.js';
+
+/**
+ * Caches rendered responses in the memory of each worker, evicting the least
+ * recently used entries beyond `maxEntries` or `maxSize`.
+ *
+ * @example
+ * import ViteEmberSsrServer, { MemoryCache } from 'vite-ember-ssr-server';
+ *
+ * new ViteEmberSsrServer({
+ *   distPath: 'dist',
+ *   cache: new MemoryCache({ ttl: 30000, maxSize: 20 * 1024 * 1024 }),
+ * }).start();
+ *
+ * @param {Object} [options] see {@link ResponseCache} for the other options
+ * @param {Number} [options.maxEntries=1000]
+ * @param {Number} [options.maxSize=52428800] bytes of the entries, 50MB by default
+ */
+export default class MemoryCache extends ResponseCache {
+  constructor(options = {}) {
+    super(options);
+    this.maxEntries = options.maxEntries ?? 1000;
+    this.maxSize = options.maxSize ?? 50 * 1024 * 1024;
+    this.size = 0;
+    // in order of use, from the least recent
+    this.entries = new Map();
+  }
+
+  read(key) {
+    const item = this.entries.get(key);
+    if (!item) {
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  write(key, entry, size) {
+    if (size > this.maxSize) {
+      return false;
+    }
+    this.remove(key);
+    this.entries.set(key, { entry, size });
+    this.size += size;
+
+    for (const [oldest, item] of this.entries) {
+      if (this.entries.size <= this.maxEntries && this.size <= this.maxSize) {
+        break;
+      }
+      this.entries.delete(oldest);
+      this.size -= item.size;
+    }
+    return true;
+  }
+
+  remove(key) {
+    const item = this.entries.get(key);
+    if (item) {
+      this.entries.delete(key);
+      this.size -= item.size;
+    }
+  }
+
+  list() {
+    return [...this.entries].map(([key, item]) => [key, item.entry]);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.size = 0;
+  }
+}
@@ -0,0 +1,241 @@
+import cookie from 'cookie';
+
+// Headers of the response to a single request, or of its transfer, which are
+// not replayed from the cache
+const EXCLUDED_HEADERS = new Set([
+  'age',
+  'connection',
+  'content-encoding',
+  'content-length',
+  'date',
+  'keep-alive',
+  'set-cookie',
+  'trailer',
+  'transfer-encoding',
+  'x-request-id',
+]);
+
+function parseCacheControl(value) {
+  const directives = {};
+  for (const part of [].concat(value ?? []).join(',').split(',')) {
+    const [name, arg] = part.trim().toLowerCase().split('=');
+    if (name) {
+      directives[name] = arg?.replace(/"/g, '') ?? true;
+    }
+  }
+  return directives;
+}
+
+/**
+ * @typedef CacheEntry
+ * @property {Number} statusCode
+ * @property {Object} headers names in lower case, and values or arrays of values
+ * @property {string} body
+ * @property {string} path the path of the request, for purges
+ * @property {string[]} surrogateKeys the keys of the `Surrogate-Key` header of the response, for purges
+ * @property {Number} storedAt ms timestamp
+ * @property {Number} expires ms timestamp the entry is fresh until
+ * @property {Number} staleUntil ms timestamp the entry may be served stale until, while it's revalidated
+ * @property {boolean} [stale] set by `fetch` when the entry is stale
+ */
+/**
+ * The base of the caches of rendered responses, deciding which responses are
+ * stored and for how long. Subclasses implement the storage of the entries:
+ * `read(key)`, `write(key, entry, size)`, returning false when the entry isn't
+ * stored, `remove(key)` and `list()`, listing the `[key, entry]` pairs, which
+ * may return promises.
+ *
+ * A response is stored only when it is a complete `text/html` response to a
+ * `GET` request, has one of the `statusCodes`, and none of:
+ *
+ * - an `Authorization` header on the request, unless the response is
+ *   `Cache-Control: public` or has an `s-maxage`
+ * - a cookie on the request other than the `varyCookies` of the cache keys,
+ *   the page being personalized
+ * - a `Set-Cookie` header
+ * - `Cache-Control: private`, `no-store`, `no-cache` or a zero `max-age`
+ * - a `Vary` header on other headers than `Accept-Encoding` and the
+ *   `varyHeaders` of the cache keys
+ * - the `X-SSR-Fallback` header of a client shell, or the `Trailer` of a
+ *   streamed response, whose status code is only known at its end
+ *
+ * Entries expire after the `cacheTtl` of their route, set in the `cacheTtl`
+ * of `res.locals` (see `RouteRules`), or after the `s-maxage` or `max-age` of
+ * their `Cache-Control`, or after `ttl`, capped by `maxTtl`. Expired entries are then served stale,
+ * while they are rendered again, for the `stale-while-revalidate` of their
+ * `Cache-Control`, or for `staleWhileRevalidate`.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.ttl=60000] ms entries are fresh for, when their response doesn't say
+ * @param {Number} [options.maxTtl] maximum ms entries are fresh for
+ * @param {Number} [options.staleWhileRevalidate=0] ms expired entries are served stale for, when their response doesn't say
+ * @param {Number[]} [options.statusCodes=[200]] the status codes of the responses stored
+ * @param {string[]} [options.varyHeaders] request headers the cache keys vary on, defaults to those of the `cacheVary` option of the server
+ * @param {string[]} [options.varyCookies] cookies the cache keys vary on, defaults to those of the `cacheVary` option of the server
+ */
+export default class ResponseCache {
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 60000;
+    this.maxTtl = options.maxTtl ?? Infinity;
+    this.staleWhileRevalidate = options.staleWhileRevalidate ?? 0;
+    this.statusCodes = options.statusCodes || [200];
+    this.varyHeaders = options.varyHeaders?.map(name => name.toLowerCase());
+    this.varyCookies = options.varyCookies;
+    // whether the workers share the entries, which are then purged once by
+    // the primary process rather than by every worker
+    this.shared = false;
+    this.ui = options.ui;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<CacheEntry|null>} the fresh or stale entry of the key, if any
+   */
+  async fetch(key) {
+    const entry = await this.read(key);
+    if (!entry) {
+      return null;
+    }
+    const now = Date.now();
+    if (entry.expires > now) {
+      return entry;
+    }
+    if ((entry.staleUntil ?? 0) > now) {
+      return { ...entry, stale: true };
+    }
+    await this.remove(key);
+    return null;
+  }
+
+  /**
+   * Stores the response, unless it's not cacheable.
+   *
+   * @param {string} key
+   * @param {string} body
+   * @param {Response} res the complete response
+   * @returns {Promise<boolean>} whether the response was stored
+   */
+  async put(key, body, res) {
+    const ttl = this.responseTtl(res);
+    if (!ttl) {
+      return false;
+    }
+
+    const now = Date.now();
+    const entry = {
+      statusCode: res.statusCode,
+      headers: this.entryHeaders(res),
+      body,
+      path: new URL(res.req?.originalUrl ?? res.req?.url ?? '/', 'http://localhost').pathname,
+      surrogateKeys: String(res.getHeader('surrogate-key') ?? '').split(/\s+/).filter(Boolean),
+      storedAt: now,
+      expires: now + ttl,
+      staleUntil: now + ttl + this.staleTtl(res),
+    };
+    // e.g. larger than the cache
+    return await this.write(key, entry, Buffer.byteLength(body) + JSON.stringify(entry.headers).length) !== false;
+  }
+
+  /**
+   * @param {Response} res
+   * @returns {Number} ms the response may be cached for, 0 when it may not be
+   */
+  responseTtl(res) {
+    if (res.req?.method !== 'GET' || !this.statusCodes.includes(res.statusCode)) {
+      return 0;
+    }
+    if (!String(res.getHeader('content-type') ?? '').startsWith('text/html')) {
+      return 0;
+    }
+    if (res.hasHeader('set-cookie') || res.hasHeader('trailer') || res.hasHeader('x-ssr-fallback')) {
+      return 0;
+    }
+    // pages rendered with the session of the user, e.g. forwarded to the API
+    // by the sandbox fetch, aren't shared with other users
+    const requestHeaders = res.req?.headers || {};
+    const cookies = requestHeaders.cookie ? Object.keys(cookie.parse(requestHeaders.cookie)) : [];
+    if (cookies.some(name => !this.varyCookies?.includes(name))) {
+      return 0;
+    }
+
+    const vary = String(res.getHeader('vary') ?? '').toLowerCase().split(',').map(v => v.trim()).filter(Boolean);
+    const varyHeaders = ['accept-encoding', ...this.varyHeaders || []];
+    if (vary.some(name => !varyHeaders.includes(name))) {
+      return 0;
+    }
+
+    const cacheControl = parseCacheControl(res.getHeader('cache-control'));
+    if (cacheControl.private || cacheControl['no-store'] || cacheControl['no-cache']) {
+      return 0;
+    }
+    if (requestHeaders.authorization !== undefined && !cacheControl.public && cacheControl['s-maxage'] === undefined) {
+      return 0;
+    }
+    const maxAge = cacheControl['s-maxage'] ?? cacheControl['max-age'];
+    const ttl = res.locals?.cacheTtl
+      ?? (maxAge !== undefined ? Number(maxAge) * 1000 : this.ttl);
+    return Math.max(0, Math.min(ttl || 0, this.maxTtl));
+  }
+
+  /**
+   * @param {Response} res
+   * @returns {Number} ms the response may be served stale for once expired
+   */
+  staleTtl(res) {
+    const staleWhileRevalidate = parseCacheControl(res.getHeader('cache-control'))['stale-while-revalidate'];
+    const ttl = staleWhileRevalidate !== undefined ? Number(staleWhileRevalidate) * 1000 : this.staleWhileRevalidate;
+    return Math.max(0, ttl || 0);
+  }
+
+  /**
+   * Removes the entries of the given paths, of the paths starting with the
+   * given prefixes, or tagged with the given surrogate keys, or all entries.
+   *
+   * @param {Object} criteria
+   * @param {string[]} [criteria.paths]
+   * @param {string[]} [criteria.prefixes]
+   * @param {string[]} [criteria.surrogateKeys]
+   * @param {boolean} [criteria.all]
+   * @returns {Promise<Number>} the number of entries removed
+   */
+  async purge({ paths = [], prefixes = [], surrogateKeys = [], all = false } = {}) {
+    let count = 0;
+    for (const [key, entry] of await this.list()) {
+      const matched = all
+        || paths.includes(entry.path)
+        || prefixes.some(prefix => entry.path?.startsWith(prefix))
+        || surrogateKeys.some(surrogateKey => entry.surrogateKeys?.includes(surrogateKey));
+      if (matched) {
+        await this.remove(key);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  entryHeaders(res) {
+    const headers = {};
+    for (const [name, value] of Object.entries(res.getHeaders())) {
+      if (!EXCLUDED_HEADERS.has(name)) {
+        headers[name] = value;
+      }
+    }
+    return headers;
+  }
+
+  read() {
+    throw new Error(`${this.constructor.name} must implement read()`);
+  }
+
+  write() {
+    throw new Error(`${this.constructor.name} must implement write()`);
+  }
+
+  remove() {
+    throw new Error(`${this.constructor.name} must implement remove()`);
+  }
+
+  list() {
+    throw new Error(`${this.constructor.name} must implement list()`);
+  }
+}
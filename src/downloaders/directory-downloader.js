@@ -0,0 +1,66 @@
+import fs from 'node:fs';
+import { join, resolve } from 'node:path';
+import ReleaseDownloader from './release-downloader.js';
+
+const ARCHIVE = /^(.+)\.(tar\.gz|tgz|tar|zip)$/;
+
+/**
+ * Unpacks build archives from a local directory of versioned releases, e.g. a
+ * mounted volume or a directory synced by the deploy:
+ *
+ *     releases/
+ *       1.1.0.tar.gz
+ *       1.1.0.tar.gz.sha256
+ *       1.2.0.tar.gz
+ *       1.2.0.tar.gz.sha256
+ *
+ * The latest release is the one with the highest version, compared
+ * numerically, e.g. `1.10.0` after `1.9.0`, or the given `version`. The
+ * checksum of an archive is read from the file of the same name followed by
+ * the name of the algorithm, in the format of `sha256sum`.
+ *
+ * @example
+ * import ViteEmberSsrServer, { DirectoryDownloader, FsNotifier } from 'vite-ember-ssr-server';
+ *
+ * new ViteEmberSsrServer({
+ *   downloader: new DirectoryDownloader({ releasesPath: '/mnt/releases', path: '/var/lib/app/releases' }),
+ *   notifier: new FsNotifier({ paths: ['/mnt/releases'] }),
+ * }).start();
+ *
+ * @param {Object} options see {@link ReleaseDownloader} for the other options
+ * @param {string} options.releasesPath the directory of the archives
+ * @param {string} [options.version] the version to use instead of the latest one
+ */
+export default class DirectoryDownloader extends ReleaseDownloader {
+  constructor(options = {}) {
+    super(options);
+    if (!options.releasesPath) {
+      throw new Error('DirectoryDownloader needs the releasesPath of the archives');
+    }
+    this.releasesPath = resolve(options.releasesPath);
+    this.version = options.version;
+  }
+
+  async latest() {
+    const releases = fs.readdirSync(this.releasesPath)
+      .map(file => file.match(ARCHIVE))
+      .filter(Boolean)
+      .map(([file, version]) => ({ version, file }))
+      .filter(({ version }) => !this.version || version === this.version)
+      .sort((a, b) => b.version.localeCompare(a.version, undefined, { numeric: true }));
+
+    const release = releases[0];
+    if (!release) {
+      return null;
+    }
+
+    const checksumFile = join(this.releasesPath, `${release.file}.${this.algorithm}`);
+    release.checksum = fs.existsSync(checksumFile) ? fs.readFileSync(checksumFile, 'utf8') : null;
+    return release;
+  }
+
+  async fetchArchive(release) {
+    this.ui?.writeLine(`reading release; version=${release.version}; file=${release.file}`);
+    return fs.readFileSync(join(this.releasesPath, release.file));
+  }
+}
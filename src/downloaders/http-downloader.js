@@ -0,0 +1,138 @@
+import { createHash } from 'node:crypto';
+import ReleaseDownloader from './release-downloader.js';
+
+function httpError(response, url) {
+  const error = new Error(`Error downloading ${url}: ${response.status} ${response.statusText}`);
+  error.name = response.status === 404 ? 'AppNotFoundError' : 'DownloadError';
+  return error;
+}
+
+/**
+ * Downloads build archives over HTTP(S).
+ *
+ * With a `manifestUrl`, the latest release is described by a JSON document:
+ *
+ *     { "version": "1.2.0", "url": "app-1.2.0.tar.gz", "checksum": "<sha256 hex>" }
+ *
+ * where `url` is relative to the manifest, and a version is downloaded only
+ * once.
+ *
+ * With a `url`, the archive is requested conditionally, with the `ETag` and
+ * `Last-Modified` of the previous response, and its version is named after
+ * its checksum. The checksum is the `checksum` option, or is read from
+ * `checksumUrl`, `<url>.sha256` by default, in the format of `sha256sum`.
+ *
+ * @example
+ * import ViteEmberSsrServer, { HttpDownloader, VersionFileNotifier } from 'vite-ember-ssr-server';
+ *
+ * new ViteEmberSsrServer({
+ *   downloader: new HttpDownloader({
+ *     manifestUrl: 'https://assets.example.com/app/latest.json',
+ *     path: '/var/lib/app/releases',
+ *   }),
+ * }).start();
+ *
+ * @param {Object} options see {@link ReleaseDownloader} for the other options
+ * @param {string} [options.manifestUrl] URL of the JSON manifest of the latest release
+ * @param {string} [options.url] URL of the archive of the latest release
+ * @param {string} [options.checksumUrl] URL of the checksum of the archive at `url`
+ * @param {string} [options.checksum] checksum of the archive at `url`
+ * @param {Object} [options.fetchOptions] options of the requests, e.g. `headers`
+ * @param {Number} [options.timeout=60000] ms before a request is aborted
+ */
+export default class HttpDownloader extends ReleaseDownloader {
+  constructor(options = {}) {
+    super(options);
+    if (!options.manifestUrl && !options.url) {
+      throw new Error('HttpDownloader needs a manifestUrl or a url');
+    }
+    this.manifestUrl = options.manifestUrl;
+    this.url = options.url;
+    this.checksumUrl = options.checksumUrl ?? (options.url && !options.checksum ? `${options.url}.sha256` : null);
+    this.checksum = options.checksum;
+    this.fetchOptions = options.fetchOptions || {};
+    this.timeout = options.timeout ?? 60000;
+  }
+
+  async latest() {
+    return this.manifestUrl ? this.latestFromManifest() : this.latestFromUrl();
+  }
+
+  async latestFromManifest() {
+    const response = await this.request(this.manifestUrl);
+    const manifest = await response.json();
+    if (!manifest.version || !manifest.url) {
+      const error = new Error(`The manifest at ${this.manifestUrl} needs a version and a url`);
+      error.name = 'DownloadError';
+      throw error;
+    }
+    return {
+      version: manifest.version,
+      url: new URL(manifest.url, response.url || this.manifestUrl).href,
+      checksum: manifest.checksum,
+    };
+  }
+
+  async latestFromUrl() {
+    const state = this.loadState();
+    const previous = state.http?.url === this.url ? state.http : null;
+    const headers = {};
+    if (previous && state.versions.includes(previous.version)) {
+      if (previous.etag) {
+        headers['If-None-Match'] = previous.etag;
+      }
+      if (previous.lastModified) {
+        headers['If-Modified-Since'] = previous.lastModified;
+      }
+    }
+
+    const response = await this.request(this.url, headers);
+    if (response.status === 304) {
+      return { version: previous.version };
+    }
+
+    const archive = Buffer.from(await response.arrayBuffer());
+    const checksum = this.checksum ?? await this.fetchChecksum();
+    const version = createHash(this.algorithm).update(archive).digest('hex').slice(0, 12);
+
+    state.http = {
+      url: this.url,
+      version,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+    };
+    return { version, checksum, archive };
+  }
+
+  async fetchChecksum() {
+    if (!this.checksumUrl) {
+      return null;
+    }
+    try {
+      return await (await this.request(this.checksumUrl)).text();
+    } catch (e) {
+      if (e.name === 'AppNotFoundError') {
+        return null;
+      }
+      throw e;
+    }
+  }
+
+  async fetchArchive(release) {
+    this.ui?.writeLine(`downloading release; version=${release.version}; url=${release.url}`);
+    const response = await this.request(release.url);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async request(url, headers = {}) {
+    const response = await fetch(url, {
+      ...this.fetchOptions,
+      headers: { ...this.fetchOptions.headers, ...headers },
+      signal: AbortSignal.timeout(this.timeout),
+    });
+    if (!response.ok && response.status !== 304) {
+      throw httpError(response, url);
+    }
+    return response;
+  }
+}
@@ -0,0 +1,278 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import { join, resolve } from 'node:path';
+import { extractArchive } from '../utils/archive.js';
+
+const STATE_FILE = 'releases.json';
+
+function downloadError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// Version names become directory names
+function safeVersion(version) {
+  return String(version).replace(/[^\w.+-]/g, '_').replace(/^\.+/, '_');
+}
+
+/**
+ * The base of the downloaders of versioned build archives. Each version is
+ * verified against its checksum and unpacked into its own directory of
+ * `path`, and the last `keep` versions are kept for rollbacks, older ones are
+ * removed.
+ *
+ * Subclasses implement:
+ *
+ * - `latest()` resolving to the latest release, `{ version, checksum }`, along
+ *   with its `archive` when it had to be downloaded to be identified, or to
+ *   null when there's none
+ * - `fetchArchive(release)` resolving to the archive of a release, as a Buffer
+ *
+ * When the latest release can't be downloaded, the current version, if any,
+ * keeps being served, including after a restart of the server.
+ *
+ * @param {Object} options
+ * @param {string} options.path the directory the versions are unpacked into
+ * @param {Number} [options.keep=3] the number of versions kept, including the current one, at least 2
+ * @param {Number} [options.strip=0] leading path components to remove from the entries of the archives
+ * @param {string} [options.clientDir] directory of the client build in the archives, when separate from the SSR build
+ * @param {string} [options.ssrDir] directory of the SSR build in the archives, when separate from the client build
+ * @param {string} [options.algorithm='sha256'] hash algorithm of the checksums
+ * @param {boolean} [options.verify=true] whether releases without a checksum are rejected
+ */
+export default class ReleaseDownloader {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error(`${this.constructor.name} needs the path of a directory to unpack releases into`);
+    }
+    this.path = resolve(options.path);
+    this.keep = Math.max(2, options.keep ?? 3);
+    this.strip = options.strip ?? 0;
+    this.clientDir = options.clientDir;
+    this.ssrDir = options.ssrDir;
+    this.algorithm = options.algorithm || 'sha256';
+    this.verify = options.verify ?? true;
+    this.ui = options.ui;
+    this.pinned = null;
+    this.state = null;
+    this._downloading = null;
+  }
+
+  /**
+   * The unpacked versions, from the newest.
+   *
+   * @returns {string[]}
+   */
+  get versions() {
+    return this.loadState().versions.slice();
+  }
+
+  get current() {
+    return this.loadState().current;
+  }
+
+  /**
+   * Downloads and unpacks the latest release, unless already unpacked, and
+   * makes it the current version.
+   *
+   * @returns {Promise<{ distPath?: string, clientPath?: string, ssrPath?: string }>}
+   */
+  download() {
+    // Downloads requested while one is in progress run after it
+    this._downloading = (this._downloading || Promise.resolve())
+      .catch(() => {})
+      .then(() => this._download());
+    return this._downloading;
+  }
+
+  /**
+   * Makes the version unpacked before the current one the current version,
+   * until {@link unpin}, e.g. followed by a reload of the server:
+   *
+   *     await server.downloader.rollback();
+   *     await server.initializeApp();
+   *     await server.reload();
+   *
+   * @returns {string} the version rolled back to
+   */
+  rollback() {
+    const { current, versions } = this.loadState();
+    const previous = versions[versions.indexOf(current) + 1];
+    if (!previous) {
+      throw downloadError('AppNotFoundError', `No version to roll back to from '${current}'`);
+    }
+    this.pin(previous);
+    return previous;
+  }
+
+  /**
+   * Serves the given unpacked version instead of the latest release.
+   *
+   * @param {string} version
+   */
+  pin(version) {
+    if (!this.loadState().versions.includes(version)) {
+      throw downloadError('AppNotFoundError', `Version '${version}' is not unpacked`);
+    }
+    this.pinned = version;
+  }
+
+  unpin() {
+    this.pinned = null;
+  }
+
+  async _download() {
+    if (this.pinned) {
+      this.activate(this.pinned);
+      return this.paths(this.pinned);
+    }
+
+    let release;
+    try {
+      release = await this.latest();
+      if (!release) {
+        throw downloadError('AppNotFoundError', 'No release found');
+      }
+      release.version = safeVersion(release.version);
+
+      if (!this.isUnpacked(release.version)) {
+        const archive = release.archive ?? await this.fetchArchive(release);
+        this.verifyChecksum(archive, release);
+        this.unpack(archive, release.version);
+      }
+    } catch (e) {
+      const { current } = this.loadState();
+      if (current && this.isUnpacked(current)) {
+        this.ui?.writeError(`error downloading release, keeping version ${current}; error=${e.message}`);
+        return this.paths(current);
+      }
+      throw e;
+    }
+
+    this.activate(release.version);
+    this.prune();
+    return this.paths(release.version);
+  }
+
+  /**
+   * @param {Buffer} archive
+   * @param {{ version: string, checksum?: string }} release
+   */
+  verifyChecksum(archive, release) {
+    if (!release.checksum) {
+      if (this.verify) {
+        throw downloadError('ChecksumError', `Release ${release.version} has no checksum`);
+      }
+      return;
+    }
+    const expected = release.checksum.trim().split(/\s+/)[0].toLowerCase();
+    const actual = createHash(this.algorithm).update(archive).digest('hex');
+    if (actual !== expected) {
+      throw downloadError(
+        'ChecksumError',
+        `Checksum mismatch of release ${release.version}, expected ${expected}, got ${actual}`
+      );
+    }
+  }
+
+  unpack(archive, version) {
+    const dest = join(this.path, version);
+    // Unpacked next to its destination, and moved there once complete
+    const tmp = join(this.path, `.tmp-${version}-${process.pid}`);
+
+    this.ui?.writeLine(`unpacking release; version=${version}; path=${dest}`);
+    fs.rmSync(tmp, { recursive: true, force: true });
+    try {
+      extractArchive(archive, tmp, { strip: this.strip });
+      fs.rmSync(dest, { recursive: true, force: true });
+      fs.renameSync(tmp, dest);
+    } catch (e) {
+      fs.rmSync(tmp, { recursive: true, force: true });
+      throw e;
+    }
+
+    const state = this.loadState();
+    state.versions = [version, ...state.versions.filter(v => v !== version)];
+    this.saveState();
+  }
+
+  activate(version) {
+    const state = this.loadState();
+    if (state.current !== version) {
+      this.ui?.writeLine(`using release; version=${version}`);
+      state.current = version;
+      this.saveState();
+    }
+  }
+
+  // Removes the versions beyond `keep`, but never the current or pinned one
+  prune() {
+    const state = this.loadState();
+    const kept = state.versions.slice(0, this.keep);
+    for (const version of [state.current, this.pinned]) {
+      if (version && !kept.includes(version)) {
+        kept.push(version);
+      }
+    }
+
+    for (const version of state.versions) {
+      if (!kept.includes(version)) {
+        this.ui?.writeLine(`removing release; version=${version}`);
+        fs.rmSync(join(this.path, version), { recursive: true, force: true });
+      }
+    }
+    state.versions = state.versions.filter(version => kept.includes(version));
+    this.saveState();
+  }
+
+  isUnpacked(version) {
+    return this.loadState().versions.includes(version) && fs.existsSync(join(this.path, version));
+  }
+
+  paths(version) {
+    const dir = join(this.path, version);
+    if (this.clientDir || this.ssrDir) {
+      return {
+        clientPath: join(dir, this.clientDir || ''),
+        ssrPath: join(dir, this.ssrDir || ''),
+      };
+    }
+    return { distPath: dir };
+  }
+
+  loadState() {
+    if (!this.state) {
+      try {
+        this.state = JSON.parse(fs.readFileSync(join(this.path, STATE_FILE), 'utf8'));
+      } catch (e) {
+        this.state = {};
+      }
+      this.state.current ??= null;
+      this.state.versions ??= [];
+    }
+    return this.state;
+  }
+
+  saveState() {
+    fs.mkdirSync(this.path, { recursive: true });
+    const file = join(this.path, STATE_FILE);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(this.state, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  /**
+   * @returns {Promise<{ version: string, checksum?: string, archive?: Buffer }|null>}
+   */
+  async latest() {
+    throw new Error(`${this.constructor.name} must implement latest()`);
+  }
+
+  /**
+   * @param {{ version: string }} release
+   * @returns {Promise<Buffer>}
+   */
+  async fetchArchive() {
+    throw new Error(`${this.constructor.name} must implement fetchArchive()`);
+  }
+}
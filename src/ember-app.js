@@ -1,21 +1,26 @@
 import Module from 'node:module';
 import { dirname, resolve, normalize } from 'node:path';
 import URL from 'node:url';
+import { format } from 'node:util';
 import vm from 'node:vm';
-import chalk from 'chalk';
 import fs from 'fs-extra';
 import { HTMLElement } from 'linkedom/worker';
 import sourceMapSupport from 'source-map-support';
 
 import debug from './debug.js';
 import createDocument from './document.js';
+import FetchShoebox from './fetch-shoebox.js';
 import Result from './result.js';
+import SsrFetch from './ssr-fetch.js';
 import FastBootInfo from './ssr-info.js';
 import { loadConfig } from './ssr-schema.js';
+import Ui from './ui.js';
+import ModuleCache from './utils/module-cache.js';
 import Queue from './utils/queue.js';
 import SsrPaths from './utils/ssr-paths.js';
+import ViteManifest from './vite-manifest.js';
 
-const { statSync, readFile } = fs;
+const { statSync } = fs;
 const require = Module.createRequire(import.meta.url);
 
 const noop = function() {};
@@ -35,18 +40,33 @@ export default class EmberApp {
    * @param {string} options.distPath - path to the built Ember application
    * @param {Function} [options.buildSandboxGlobals] - the function used to build the final set of global properties accesible within the sandbox
    * @param {Number} [options.maxSandboxQueueSize] - maximum sandbox queue size when using buildSandboxPerRequest flag.
+   * @param {Object} [options.fetchOptions] - options of the request-aware `fetch` provided to the sandbox, see {@link SsrFetch}
+   * @param {Object|Boolean} [options.fetchShoebox] - whether to write the JSON responses of the sandbox `fetch` into the shoebox, or the options of the capture, see {@link FetchShoebox}
+   * @param {ViteDev} [options.vite] - in development mode, the Vite dev server to load the app through
+   * @param {string} [options.ssrEntry] - in development mode, the Vite module id of the SSR entry exporting `createSsrApp`
+   * @param {Object} [options.ssrConfig] - in development mode, the config of the server from the app, instead of the `package.json` of the SSR build
+   * @param {Ui} [options.ui] - the logger of the sandbox errors and console
    */
   constructor(options) {
+    this.ui = options.ui || new Ui();
     this.buildSandboxGlobals = options.buildSandboxGlobals || defaultBuildSandboxGlobals;
+    this.fetchOptions = options.fetchOptions || {};
+    this.fetchShoebox = options.fetchShoebox === true ? {} : options.fetchShoebox || null;
+    this.vite = options.vite || null;
+    this.ssrEntry = options.ssrEntry;
 
     this.ssrPaths = SsrPaths.wrap(options.ssrPaths || options);
-    let config = loadConfig(this.ssrPaths);
+    let config = loadConfig(this.ssrPaths, options.ssrConfig);
 
     this.hostWhitelist = config.hostWhitelist;
     this.config = config.config;
     this.appName = config.appName;
     this.html = config.html;
     this.sandboxRequire = config.sandboxRequire;
+    this.version = config.version;
+
+    // whether the last sandbox built loaded the app, null until one is built
+    this.loaded = null;
 
     if (process.env.APP_CONFIG) {
       let appConfig = JSON.parse(process.env.APP_CONFIG);
@@ -62,6 +82,19 @@ export default class EmberApp {
     }
 
     this.scripts = config.scripts;
+    this.manifest = this.vite ? null : ViteManifest.load(this.ssrPaths);
+
+    // resolves once `html` is ready to be served
+    this.ready = Promise.resolve();
+    if (this.vite) {
+      this.ready = this.vite.transformIndexHtml(this.html)
+        .then(html => {
+          this.html = html;
+        });
+    }
+
+    // source and compiled code of the modules, shared by all sandboxes
+    this._moduleCache = new ModuleCache();
 
     // default to 1 if maxSandboxQueueSize is not defined so the sandbox is pre-warmed when process comes up
     const maxSandboxQueueSize = options.maxSandboxQueueSize || 1;
@@ -93,12 +126,13 @@ export default class EmberApp {
    * @private
    *
    * Builds and initializes a new sandbox to run the Ember application in.
+   *
+   * @param {SsrFetch} ssrFetch - the `fetch` of the sandbox, bound to each request it renders
+   * @param {Console} [console] - the `console` of the sandbox, see {@link buildWrappedConsole}
    */
-  buildContext() {
+  buildContext(ssrFetch, console = this.buildWrappedConsole()) {
     const { ssrPaths, buildSandboxGlobals, config, appName, sandboxRequire } = this;
 
-    let console = this.buildWrappedConsole();
-
     function ssrConfig(key) {
       if (!key) {
         // default to app key
@@ -128,7 +162,12 @@ export default class EmberApp {
       clearTimeout,
       structuredClone,
       AbortController,
+      AbortSignal,
       URL,
+      fetch: ssrFetch.fetch,
+      Request,
+      Response,
+      Headers,
       addEventListener: noop,
       removeEventListener: noop,
       document: createDocument(),
@@ -151,17 +190,30 @@ export default class EmberApp {
     return vm.createContext(globals);
   }
 
-  buildWrappedConsole() {
+  /**
+   * @private
+   *
+   * Builds the `console` of a sandbox, writing to the logger. Its entries are
+   * tagged with the fields of `tags`, e.g. the `requestId` of the visit the
+   * sandbox is rendering.
+   *
+   * @param {Object} [tags] - fields of the entries, updated for each visit
+   */
+  buildWrappedConsole(tags = {}) {
     let wrappedConsole = Object.create(console);
-
-    wrappedConsole.error = function(...args) {
-      console.error.apply(
-        console,
-        args.map(function(a) {
-          return typeof a === 'string' ? chalk.red(a) : a;
-        })
-      );
-    };
+    let ui = this.ui;
+
+    for (const [method, level] of [
+      ['debug', 'debug'],
+      ['log', 'info'],
+      ['info', 'info'],
+      ['warn', 'warn'],
+      ['error', 'error'],
+    ]) {
+      wrappedConsole[method] = function(...args) {
+        ui.log(level, format(...args), { source: 'sandbox', ...tags });
+      };
+    }
 
     return wrappedConsole;
   }
@@ -170,6 +222,7 @@ export default class EmberApp {
    * Perform any cleanup that is needed
    */
   destroy() {
+    this._moduleCache.clear();
   }
 
   /**
@@ -177,12 +230,38 @@ export default class EmberApp {
    */
   buildNewApplicationInstance() {
     return Promise.resolve().then(() => this.buildApp())
+      .then(appContext => {
+        this.loaded = Boolean(appContext);
+        return appContext;
+      }, error => {
+        this.loaded = false;
+        throw error;
+      });
+  }
+
+  /**
+   * The state of the app, for the health checks.
+   *
+   * @returns {{ loaded: Boolean|null, version: string|null, sandboxQueue: { size: Number, maxSize: Number } }}
+   */
+  health() {
+    const queue = this._sandboxApplicationInstanceQueue;
+    return {
+      loaded: this.loaded,
+      version: this.version,
+      sandboxQueue: { size: queue.size(), maxSize: queue.maxSize },
+    };
   }
 
   /**
    * @typedef AppContext
    * @property {Ember.Application} app
    * @property {{}} context vm context globals
+   * @property {SsrFetch} fetch the sandbox `fetch`
+   * @property {Set<string>} dynamicImports paths of the modules dynamically imported in the sandbox
+   * @property {ModuleRunner} [runner] in development mode, the Vite module runner of the sandbox
+   * @property {Number} buildDuration ms taken to build the sandbox
+   * @property {Object} logTags fields of the entries logged by the sandbox `console`
    */
   /**
    * @private
@@ -192,26 +271,40 @@ export default class EmberApp {
    * @returns {Promise.<AppContext>} instance
    */
   async buildApp() {
-    const context = this.buildContext();
+    const buildStart = performance.now();
+    const fetch = new SsrFetch(this.fetchOptions);
+    const logTags = {};
+    const context = this.buildContext(fetch, this.buildWrappedConsole(logTags));
+    const { load, linkModule, importModule, dynamicImports } = this.buildLink(context);
     let createSsrApp;
+    let runner;
 
     debug('adding files to sandbox');
 
-    for (let script of this.scripts) {
+    if (this.vite) {
+      debug('loading entry through vite %s', this.ssrEntry);
+      try {
+        runner = await this.vite.buildRunner(context, importModule);
+        createSsrApp = (await runner.import(this.ssrEntry)).createSsrApp;
+      } catch (e) {
+        this.ui.error('ssr exception', { error: e });
+        return null;
+      }
+    }
+
+    for (let script of this.vite ? [] : this.scripts) {
       if (!script) {
         continue;
       }
       debug('evaluating file %s', script);
-      const { link, importModuleDynamically } = this.buildLink(context, script);
-      const module = await this.buildScript(
-        script, context, link, importModuleDynamically,
-      );
       try {
+        const module = await load(script);
+        await linkModule(module);
         await module.evaluate();
         createSsrApp ??= module.namespace?.createSsrApp;
         await Promise.resolve(); // Run microtasks?
       } catch (e) {
-        console.log('ssr exception', e);
+        this.ui.error('ssr exception', { error: e });
         return null;
       }
     }
@@ -220,7 +313,7 @@ export default class EmberApp {
 
     // If the application factory couldn't be found, throw an error
     if (!createSsrApp || typeof createSsrApp !== 'function') {
-      console.log(
+      this.ui.error(
         'Failed to load Ember app from app.js, make sure it was built for FastBoot with the `ember fastboot:build` command.'
       );
       return null;
@@ -229,34 +322,72 @@ export default class EmberApp {
     debug('creating application');
 
     // Otherwise, return a new `Ember.Application` instance
-    return { app: createSsrApp(), context };
+    const app = createSsrApp();
+    const buildDuration = performance.now() - buildStart;
+    return { app, context, fetch, dynamicImports, runner, buildDuration, logTags };
   }
 
-  async buildScript(filePath, context, link, importModuleDynamically, source = null) {
-    source ??= await readFile(filePath, { encoding: 'utf8' });
-    const module = new vm.SourceTextModule(source, {
+  /**
+   * @private
+   *
+   * Compiles an unlinked module in the given sandbox context.
+   */
+  buildScript(filePath, context, importModuleDynamically) {
+    return this._moduleCache.compile(filePath, {
       context,
-      identifier: filePath,
       importModuleDynamically,
     });
-    await module.link(link);
-    return module;
   }
 
-  buildLink(context, defaultBase) {
-    const importModuleDynamically = async specifier => {
-      return (await link(specifier)).namespace;
+  /**
+   * @private
+   *
+   * Builds the module registry of a sandbox context, so that each module is
+   * compiled and evaluated once per sandbox, no matter how many times it is
+   * imported, and every importer shares the same module instance.
+   *
+   * @param {{}} context vm context globals
+   * @returns {{ link: Function, importModuleDynamically: Function, load: Function, linkModule: Function, importModule: Function, dynamicImports: Set<string> }}
+   */
+  buildLink(context) {
+    // resolved path => Promise<vm.SourceTextModule>
+    const modules = new Map();
+    // resolved paths of the dynamically imported modules, e.g. lazy routes
+    const dynamicImports = new Set();
+    // vm.SourceTextModule => Promise of its linking
+    const linking = new WeakMap();
+
+    const load = identifier => {
+      let module = modules.get(identifier);
+      if (!module) {
+        module = this.buildScript(identifier, context, importModuleDynamically);
+        module.catch(() => modules.delete(identifier));
+        modules.set(identifier, module);
+      }
+      return module;
     };
+    // Linked dependencies are returned unlinked; `module.link()` links them recursively
     const link = async (specifier, referencingModule) => {
-      const base = referencingModule?.identifier || defaultBase;
-      const identifier = await this.resolveImport(specifier, base);
-      const module = await this.buildScript(
-        identifier, context, link, importModuleDynamically,
-      );
+      return load(await this.resolveImport(specifier, referencingModule.identifier));
+    };
+    const linkModule = module => {
+      if (!linking.has(module)) {
+        linking.set(module, module.status === 'unlinked' ? module.link(link) : Promise.resolve());
+      }
+      return linking.get(module);
+    };
+    const importModule = async identifier => {
+      const module = await load(identifier);
+      await linkModule(module);
       await module.evaluate();
-      return module;
+      return module.namespace;
+    };
+    const importModuleDynamically = async (specifier, referencingModule) => {
+      const identifier = await this.resolveImport(specifier, referencingModule.identifier);
+      dynamicImports.add(identifier);
+      return importModule(identifier);
     };
-    return { link, importModuleDynamically };
+    return { link, importModuleDynamically, load, linkModule, importModule, dynamicImports };
   }
 
   async resolveImport(specifier, importerPath) {
@@ -333,7 +464,9 @@ export default class EmberApp {
    * @return {Promise<instance>} instance
    */
   async _visit(path, fastbootInfo, bootOptions, result) {
+    const { durations } = result.analytics;
     const app = result.applicationInstance;
+    let start = performance.now();
     await app.boot();
 
     let instance = await app.buildInstance();
@@ -342,8 +475,12 @@ export default class EmberApp {
     registerFastBootInfo(fastbootInfo, instance);
 
     await instance.boot(bootOptions);
+    durations.boot = performance.now() - start;
+
+    start = performance.now();
     await instance.visit(path, bootOptions);
     await fastbootInfo.deferredPromise;
+    durations.visit = performance.now() - start;
   }
 
   /**
@@ -366,11 +503,12 @@ export default class EmberApp {
    * @param {Integer} [options.destroyAppInstanceInMs] whether to destroy the instance in the given number of ms. This is a failure mechanism to not wedge the Node process (See: https://github.com/ember-fastboot/fastboot/issues/90)
    * @param {ClientRequest}
    * @param {ClientResponse}
-   * @returns {Promise<Result>} result
+   * @returns {Promise<Result|null>} result, null when the sandbox failed to build
    */
   async visit(path, options) {
     const req = options.request;
     const res = options.response;
+    await this.ready;
     const html = options.html || this.html;
     const disableShoebox = options.disableShoebox || false;
     const destroyAppInstanceInMs = parseInt(options.destroyAppInstanceInMs, 10);
@@ -378,12 +516,27 @@ export default class EmberApp {
     const fastbootInfo = new FastBootInfo(req, res, {
       hostWhitelist: this.hostWhitelist,
       metadata: options.metadata || {},
+      requestId: options.requestId ?? req?.id,
     });
 
-    const { appContext, isSandboxPreBuilt }
-      = await this.getNewApplicationInstance();
+    const sandboxStart = performance.now();
+    let appContext, isSandboxPreBuilt;
+    try {
+      ({ appContext, isSandboxPreBuilt } = await this.getNewApplicationInstance());
+    } finally {
+      if (!appContext) {
+        // the sandbox failed to build, see its errors: the queue is refilled
+        // so the next request builds a new one
+        this._sandboxApplicationInstanceQueue.enqueue();
+      }
+    }
+    if (!appContext) {
+      return null;
+    }
+    const sandboxDuration = performance.now() - sandboxStart;
 
-    const { app, context } = appContext;
+    const { app, context, fetch, dynamicImports, runner, buildDuration, logTags } = appContext;
+    logTags.requestId = fastbootInfo.requestId;
 
     const doc = context.document;
     const result = new Result(doc, html, fastbootInfo);
@@ -393,34 +546,61 @@ export default class EmberApp {
     // completed)
     result.applicationInstance = app;
 
+    // bind the sandbox fetch to this request, pending requests are aborted
+    // when result._destroy() is called
+    const fetchShoebox = this.fetchShoebox && !disableShoebox
+      ? new FetchShoebox(this.fetchShoebox) : null;
+    fetch.bind(fastbootInfo, fetchShoebox);
+    result.sandboxFetch = fetch;
+    result.dynamicImports = dynamicImports;
+
     // we add analytics information about the current request to know
     // whether it used sandbox from the pre-built queue or built on demand.
     result.analytics.usedPrebuiltSandbox = isSandboxPreBuilt;
+    // ms spent in each phase of the render, and building the sandbox
+    result.analytics.durations = { sandbox: sandboxDuration };
+    result.analytics.sandboxBuildDuration = buildDuration;
 
     const shouldRender = options.shouldRender !== undefined ? options.shouldRender : true;
     const bootOptions = buildBootOptions(shouldRender, doc);
 
-    // TODO: Use Promise.race here
     let destroyAppInstanceTimer;
+    const visiting = this._visit(path, fastbootInfo, bootOptions, result);
+    let deadline;
     if (destroyAppInstanceInMs > 0) {
       // start a timer to destroy the appInstance forcefully in the given ms.
       // This is a failure mechanism so that node process doesn't get wedged if the `visit` never completes.
-      destroyAppInstanceTimer = setTimeout(function() {
-        if (result._destroy()) {
-          result.error = new Error(
+      deadline = new Promise((resolve, reject) => {
+        destroyAppInstanceTimer = setTimeout(function() {
+          const error = new Error(
             'App instance was forcefully destroyed in ' + destroyAppInstanceInMs + 'ms'
           );
-        }
-      }, destroyAppInstanceInMs);
+          error.name = 'RenderTimeoutError';
+          result.timedOut = true;
+          reject(error);
+        }, destroyAppInstanceInMs);
+      });
+      // the abandoned visit settles against the destroyed instance
+      visiting.catch(noop);
     }
 
     try {
-      await this._visit(path, fastbootInfo, bootOptions, result);
+      await (deadline ? Promise.race([visiting, deadline]) : visiting);
 
       if (!disableShoebox) {
         // if shoebox is not disabled, then create the shoebox and send API data
         createShoebox(doc, fastbootInfo);
       }
+      if (fetchShoebox) {
+        await fetchShoebox.settled();
+        createFetchShoebox(doc, fetchShoebox);
+        if (fetchShoebox.credentialed) {
+          // the page embeds responses fetched for the user
+          fastbootInfo.response.headers.set(
+            'cache-control', privateCacheControl(fastbootInfo.response.headers.get('cache-control'))
+          );
+        }
+      }
     } catch (error) {
       // eslint-disable-next-line require-atomic-updates
       result.error = error;
@@ -433,6 +613,10 @@ export default class EmberApp {
 
       clearTimeout(destroyAppInstanceTimer);
 
+      if (runner) {
+        runner.close();
+      }
+
       // build a new sandbox for the next incoming request
       this._sandboxApplicationInstanceQueue.enqueue();
     }
@@ -492,6 +676,39 @@ function createShoebox(doc, fastbootInfo) {
   }
 }
 
+/*
+ * Writes the captured responses of the sandbox `fetch` into the DOM, one
+ * script tag per request, identified by its `data-fetch-key` attribute. These
+ * are replayed by `client/fetch-shoebox.js` in the browser.
+ */
+function createFetchShoebox(doc, fetchShoebox) {
+  let index = 0;
+  for (let [key, { status, body }] of fetchShoebox.entries) {
+    // body is already serialized JSON
+    let textValue = escapeJSONString(`{"status":${status},"body":${body}}`);
+
+    let scriptText = doc.createRawHTMLSection(textValue);
+    let scriptEl = doc.createElement('script');
+
+    scriptEl.setAttribute('type', 'ssr/shoebox');
+    scriptEl.setAttribute('id', `shoebox-fetch-${index++}`);
+    scriptEl.setAttribute('data-fetch-key', key);
+    scriptEl.appendChild(scriptText);
+    doc.body.appendChild(scriptEl);
+  }
+}
+
+/*
+ * The `Cache-Control` of a response keeping it out of shared caches: its
+ * directives, but those allowing them to store it, and `private`.
+ */
+function privateCacheControl(value) {
+  let directives = (value || '').split(',')
+    .map(directive => directive.trim())
+    .filter(directive => directive && !/^(public|private|s-maxage)\b/i.test(directive));
+  return ['private', ...directives].join(', ');
+}
+
 const JSON_ESCAPE = {
   '&': '\\u0026',
   '>': '\\u003e',
@@ -1,10 +1,22 @@
-import chalk from 'chalk';
-import mime from 'mime';
-
 import EmberSsr from './ember-ssr.js';
+import RenderErrorHandler from './render-error-handler.js';
+import RenderLimiter from './render-limiter.js';
+import { clientShell, streamingHead, streamingTail } from './result.js';
+import RouteRules from './route-rules.js';
+import Ui from './ui.js';
+import { compileRoutes, matchRoute } from './utils/route-pattern.js';
+
+const STATUS_TRAILER = 'X-SSR-Status';
+const FALLBACK_HEADER = 'X-SSR-Fallback';
 
 export default function emberSsrExpressMiddleware(options = {}) {
-  let log = options.log !== false ? _log : function() {};
+  let ui = options.ui || new Ui();
+  let log = function() {};
+  if (typeof options.log === 'function') {
+    log = options.log;
+  } else if (options.log !== false) {
+    log = buildLog(ui);
+  }
 
   let emberSsr = options.emberSsr;
 
@@ -13,67 +25,387 @@ export default function emberSsrExpressMiddleware(options = {}) {
       clientPath: options.clientPath,
       ssrPath: options.ssrPath,
       resilient: options.resilient,
+      ui,
     });
   }
 
-  return async function(req, res, next) {
+  const renderTimeoutRoutes = compileRoutes(options.renderTimeoutRoutes);
+  const routeRules = options.routeRules instanceof RouteRules
+    ? options.routeRules
+    : new RouteRules(options.routeRules);
+  let renderLimiter = options.renderLimiter;
+  if (!renderLimiter && options.maxConcurrentRenders) {
+    renderLimiter = new RenderLimiter({
+      concurrency: options.maxConcurrentRenders,
+      maxQueue: options.maxQueuedRenders,
+      maxWait: options.maxQueueWait,
+    });
+  }
+
+  // ms a render of the request may take, by precedence: the timeout of its
+  // route rule, of its `renderTimeoutRoutes`, or `renderTimeout`
+  function routeTimeout(req, rule = routeRules.match(req.url)) {
+    return rule.timeout
+      ?? matchRoute(renderTimeoutRoutes, req.url) ?? options.renderTimeout;
+  }
+
+  function buildVisitOptions(req, res, extra) {
+    const rule = routeRules.match(req.url);
+    const visitOptions = Object.assign({}, options.visitOptions, {
+      request: req, response: res,
+    }, extra);
+    if (rule.mode === 'routing') {
+      visitOptions.shouldRender = false;
+    }
+    if (rule.shoebox !== undefined) {
+      visitOptions.disableShoebox = !rule.shoebox;
+    }
+    const renderTimeout = routeTimeout(req, rule);
+    if (renderTimeout) {
+      visitOptions.destroyAppInstanceInMs = renderTimeout;
+    }
+    return visitOptions;
+  }
+
+  /*
+   * `Link` header values preloading the entry chunks of the client build, and
+   * the client chunks of the lazy modules imported while rendering the result.
+   */
+  function preloadLinks(req, result) {
+    const manifest = emberSsr._app.manifest;
+    if (!manifest || options.preloadHeaders === false) {
+      return [];
+    }
+    return manifest.links(req.baseUrl || '/', result?.dynamicImports);
+  }
+
+  function sendEarlyHints(req, res) {
+    if (options.earlyHints === false || typeof res.writeEarlyHints !== 'function') {
+      return;
+    }
+    const links = preloadLinks(req);
+    if (links.length) {
+      res.writeEarlyHints({ link: links });
+    }
+  }
+
+  const errorHandler = new RenderErrorHandler({
+    emberSsr,
+    policy: options.errorPolicy,
+    errorPage: options.errorPage,
+    errorPath: options.errorPath,
+    onRenderError: options.onRenderError,
+    renderTimeout: routeTimeout,
+    shellHtml: () => baseHtml(emberSsr, options),
+    log,
+  });
+
+  /*
+   * Serves the pages of the `client` routes without rendering them: the
+   * client shell, with the preload links of the entry chunks.
+   */
+  async function sendClientOnly(req, res) {
+    const render = trackRender(options.metrics, res);
+    const html = await baseHtml(emberSsr, options);
+
+    const links = preloadLinks(req);
+    if (links.length) {
+      res.append('Link', links);
+    }
+    log(200, 'CLIENT ONLY ' + req.url, req);
+    render.outcome = 'client';
+    res.status(200).type('text/html').send(clientShell(html));
+  }
+
+  /*
+   * Responds to a request shed by the render limiter: with a 503 and a
+   * `Retry-After` header, or with the client shell.
+   */
+  async function shed(req, res, error) {
+    const reason = error.name === 'RenderQueueFullError' ? 'queue_full' : 'queue_timeout';
+    options.metrics?.inc('ssr_renders_shed_total', { reason });
+
+    if (options.shedPolicy === 'shell') {
+      log(200, `OVERLOADED, SERVING CLIENT SHELL ${req.url}: ${error.message}`, req);
+      const html = await baseHtml(emberSsr, options);
+      res.set(FALLBACK_HEADER, 'overload');
+      return res.status(200).type('text/html').send(clientShell(html));
+    }
+    log(503, `OVERLOADED ${req.url}: ${error.message}`, req);
+    res.set('Retry-After', String(options.retryAfter ?? 5));
+    res.set('Cache-Control', 'no-store');
+    res.sendStatus(503);
+  }
+
+  /*
+   * Waits for the render limiter before rendering, leaving its queue if the
+   * request is aborted meanwhile.
+   */
+  function limit(render) {
+    return async function(req, res, next) {
+      const controller = new AbortController();
+      const abort = () => controller.abort();
+      res.once('close', abort);
+
+      const waitStart = performance.now();
+      let release;
+      try {
+        release = await renderLimiter.acquire(controller.signal);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          await shed(req, res, error);
+        }
+        return;
+      } finally {
+        res.off('close', abort);
+      }
+      options.metrics?.observe('ssr_render_queue_wait_seconds', {}, (performance.now() - waitStart) / 1000);
+
+      try {
+        await render(req, res, next);
+      } finally {
+        release();
+      }
+    };
+  }
+
+  let middleware = options.streamingResponse
+    ? streamingMiddleware(emberSsr, options, log, buildVisitOptions, errorHandler, preloadLinks, ui)
+    : renderMiddleware;
+  if (renderLimiter) {
+    middleware = limit(middleware);
+  }
+
+  return function(req, res, next) {
+    switch (routeRules.match(req.url).mode) {
+      case 'static':
+        // served by the prerendered pages or the files of the client build
+        return next();
+      case 'client':
+        return sendClientOnly(req, res).catch(next);
+      default:
+        return middleware(req, res, next);
+    }
+  };
+
+  async function sendClientShell(req, res, path, error) {
+    log(200, `RENDER TIMEOUT, SERVING CLIENT SHELL ${path}: ${error.message}`, req);
+    const html = await baseHtml(emberSsr, options);
+    res.set(FALLBACK_HEADER, 'timeout');
+    res.status(200).type('text/html').send(clientShell(html));
+  }
+
+  async function renderMiddleware(req, res, next) {
     const path = req.url;
+    const render = trackRender(options.metrics, res);
 
     try {
-      const visitOptions = Object.assign({}, options.visitOptions, {
-        request: req, response: res,
-      });
-      const result = await emberSsr.visit(path, visitOptions);
+      sendEarlyHints(req, res);
+
+      const visitOptions = buildVisitOptions(req, res);
+      const result = render.result = await emberSsr.visit(path, visitOptions);
+      if (result?.timedOut) {
+        render.outcome = 'timeout';
+        return await sendClientShell(req, res, path, result.error);
+      }
       if (!result) {
-        const html = emberSsr._app.html || emberSsr.html || options.visitOptions?.html;
-        return html ? res.type('text/html').send(html) : res.status(500);
+        throw new Error('The application could not be built, see the sandbox errors');
+      }
+      if (result.error) {
+        throw result.error;
       }
+
+      const serializeStart = performance.now();
       let body = options.chunkedResponse
         ? await result.chunks() : await result.html();
+      result.analytics.durations.serialize = performance.now() - serializeStart;
+      render.outcome = 'rendered';
 
-      if (result.error) {
-        log('RESILIENT MODE CAUGHT:', result.error.stack);
-        next(result.error);
+      // the result headers include those already set on the response, e.g.
+      // the request ID, so they replace them instead of being appended
+      for (const name of new Set(result.headers.keys())) {
+        const values = result.headers.getAll(name);
+        res.set(name, values.length === 1 ? values[0] : values);
       }
 
-      let headers = result.headers;
-      let statusMessage = result.error ? 'NOT OK ' : 'OK ';
-
-      for (const pair of headers.entries()) {
-        res.append(pair[0], pair[1]);
+      const links = preloadLinks(req, result);
+      if (links.length) {
+        res.append('Link', links);
       }
 
-      log(result.statusCode, statusMessage + path);
+      log(result.statusCode, 'OK ' + path, req);
       res.status(result.statusCode);
 
       if (typeof body === 'string') {
         res.type('text/html').send(body);
-      } else if (result.error) {
-        res.type('text/html').send(body[0]);
       } else {
         res.type('text/html');
         body.forEach(chunk => res.write(chunk));
         res.end();
       }
     } catch (error) {
-      if (error.name === 'UnrecognizedURLError') {
+      if (error.name === 'RenderTimeoutError') {
+        render.outcome = 'timeout';
+        await sendClientShell(req, res, path, error);
+      } else if (error.name === 'UnrecognizedURLError') {
+        render.outcome = 'unrecognized';
         next();
       } else {
-        res.status(500);
-        next(error);
+        await errorHandler.handle(error, req, res, next);
       }
     }
+  }
+}
+
+/*
+ * Flushes the static head of the base HTML as soon as the request arrives, then
+ * writes the rendered remainder of the document once the visit settles. The
+ * status code and headers are committed with the head, so a late status code is
+ * reported in the `X-SSR-Status` trailer and in a `<meta name="ssr-status">`
+ * tag, and redirects are performed client-side (see `Result#streamingChunks`).
+ * The headers set by the app, e.g. `Set-Cookie`, `Cache-Control` or
+ * `Location`, can't be sent anymore: they are dropped, with a warning.
+ */
+function streamingMiddleware(emberSsr, options, log, buildVisitOptions, errorHandler, preloadLinks, ui) {
+  return async function(req, res, next) {
+    const path = req.url;
+    const html = await baseHtml(emberSsr, options);
+
+    if (!html) {
+      return next();
+    }
+
+    res.status(200);
+    res.type('text/html');
+    res.setHeader('Trailer', STATUS_TRAILER);
+    const links = preloadLinks(req);
+    if (links.length) {
+      res.append('Link', links);
+    }
+    const render = trackRender(options.metrics, res);
+    res.write(streamingHead(html));
+    // Push the head through compression, if enabled.
+    res.flush?.();
+
+    let statusCode = 200;
+    let chunks;
+
+    try {
+      const visitOptions = buildVisitOptions(req, res, { resilient: true });
+      const result = render.result = await emberSsr.visit(path, visitOptions);
+
+      if (result?.timedOut) {
+        render.outcome = 'timeout';
+        log(200, `RENDER TIMEOUT, SERVING CLIENT SHELL ${path}: ${result.error.message}`, req);
+        chunks = ['<meta name="ssr-fallback" content="timeout">', streamingTail(html)];
+      } else if (!result) {
+        throw new Error('The application could not be built, see the sandbox errors');
+      } else if (result.error) {
+        throw result.error;
+      } else {
+        statusCode = result.statusCode;
+        const unsent = unsentHeaders(result, res);
+        if (unsent.length) {
+          ui.warn(`headers set by the app not sent, the response being streamed; path=${path}; headers=${unsent.join(', ')}`, {
+            requestId: req.id,
+          });
+        }
+        const serializeStart = performance.now();
+        chunks = await result.streamingChunks();
+        result.analytics.durations.serialize = performance.now() - serializeStart;
+        render.outcome = 'rendered';
+        log(statusCode, 'OK ' + path, req);
+      }
+    } catch (error) {
+      if (error.name === 'UnrecognizedURLError') {
+        render.outcome = 'unrecognized';
+        statusCode = 404;
+        log(statusCode, 'NOT OK ' + path, req);
+      } else {
+        statusCode = 500;
+        // The head has been sent, only report the error
+        await errorHandler.report(error, req, res);
+      }
+      // Complete the client shell, so the browser app can take over
+      chunks = [`<meta name="ssr-status" content="${statusCode}">`, streamingTail(html)];
+    }
+
+    chunks.forEach(chunk => res.write(chunk));
+    res.addTrailers({ [STATUS_TRAILER]: String(statusCode) });
+    render.statusCode = statusCode;
+    res.end();
   };
 }
 
-function _log(statusCode, message, startTime) {
-  let color = statusCode === 200 ? 'green' : 'red';
-  let now = new Date();
+/*
+ * The HTML document the app renders into, and the base of the client shells:
+ * the `html` of the visit options, or else the `index.html` of the app, once
+ * transformed by Vite in development mode.
+ */
+async function baseHtml(emberSsr, options) {
+  await emberSsr._app.ready;
+  return options.visitOptions?.html || emberSsr._app.html;
+}
 
-  if (startTime) {
-    let diff = Date.now() - startTime;
-    message = message + chalk.blue(' ' + diff + 'ms');
+/*
+ * The names of the headers of the result that differ from those already sent
+ * with the response.
+ */
+function unsentHeaders(result, res) {
+  const names = [];
+  for (const name of new Set(result.headers.keys())) {
+    const values = result.headers.getAll(name);
+    const sent = [].concat(res.getHeader(name) ?? []).map(String);
+    if (values.length !== sent.length || values.some((value, index) => value !== sent[index])) {
+      names.push(name);
+    }
   }
+  return names;
+}
 
-  console.log(chalk.blue(now.toISOString()) + ' ' + chalk[color](statusCode) + ' ' + message);
+/*
+ * Records the metrics of a render once its response is complete. The returned
+ * state is filled in by the middleware: its `result`, and an `outcome` of
+ * `rendered`, `timeout` (client shell), `unrecognized` (passed on to the next
+ * middleware) or `error`.
+ */
+function trackRender(metrics, res) {
+  const render = { start: performance.now(), result: null, outcome: 'error', statusCode: null };
+  if (!metrics) {
+    return render;
+  }
+
+  res.once('close', () => {
+    const outcome = res.writableFinished ? render.outcome : 'aborted';
+    // a streamed response reports its late status code in a trailer
+    const status = String(render.statusCode ?? res.statusCode);
+    metrics.inc('ssr_renders_total', { status, outcome });
+    metrics.observe('ssr_render_duration_seconds', { phase: 'total' }, (performance.now() - render.start) / 1000);
+
+    const analytics = render.result?.analytics;
+    if (!analytics?.durations) {
+      return;
+    }
+    for (const [phase, duration] of Object.entries(analytics.durations)) {
+      metrics.observe('ssr_render_duration_seconds', { phase }, duration / 1000);
+    }
+    metrics.inc('ssr_sandboxes_used_total', { prebuilt: String(analytics.usedPrebuiltSandbox) });
+    if (analytics.sandboxBuildDuration != null) {
+      metrics.observe('ssr_sandbox_build_duration_seconds', {}, analytics.sandboxBuildDuration / 1000);
+    }
+  });
+  return render;
+}
+
+/*
+ * Builds the `(statusCode, message, req)` logger of the middleware, tagging
+ * the entries with the ID of the request.
+ */
+function buildLog(ui) {
+  return function(statusCode, message, req) {
+    ui.log(statusCode >= 500 ? 'error' : 'info', message, {
+      statusCode,
+      requestId: req?.id,
+    });
+  };
 }
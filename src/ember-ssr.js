@@ -41,6 +41,12 @@ export default class EmberSsr {
    * @param {Boolean} [options.resilient=false] if true, errors during rendering won't reject the `visit()` promise but instead resolve to a {@link Result}
    * @param {Function} [options.buildSandboxGlobals] a function used to build the final set of global properties setup within the sandbox
    * @param {Number} [options.maxSandboxQueueSize] - maximum sandbox queue size when using buildSandboxPerRequest flag.
+   * @param {Object} [options.fetchOptions] options of the request-aware `fetch` provided to the sandbox, see {@link SsrFetch}
+   * @param {Object|Boolean} [options.fetchShoebox] whether to write the JSON responses of the sandbox `fetch` into the shoebox, or the options of the capture, see {@link FetchShoebox}
+   * @param {ViteDev} [options.vite] in development mode, the Vite dev server to load the app through
+   * @param {string} [options.ssrEntry] in development mode, the Vite module id of the SSR entry
+   * @param {Object} [options.ssrConfig] in development mode, the config of the server from the app, see `getSsrServerConfigFromApp`, instead of the `package.json` of the SSR build
+   * @param {Ui} [options.ui] the logger of the sandbox errors and console
    */
   constructor(options = {}) {
     let { buildSandboxGlobals, maxSandboxQueueSize } = options;
@@ -50,6 +56,12 @@ export default class EmberSsr {
     this.ssrPaths = new SsrPaths(options.ssrPaths || options);
     this.buildSandboxGlobals = buildSandboxGlobals;
     this.maxSandboxQueueSize = maxSandboxQueueSize;
+    this.fetchOptions = options.fetchOptions;
+    this.fetchShoebox = options.fetchShoebox;
+    this.vite = options.vite;
+    this.ssrEntry = options.ssrEntry;
+    this.ssrConfig = options.ssrConfig;
+    this.ui = options.ui;
 
     this._buildEmberApp(this.ssrPaths, this.buildSandboxGlobals, maxSandboxQueueSize);
   }
@@ -66,8 +78,9 @@ export default class EmberSsr {
    * @param {Object} [options.metadata] per request meta data that need to be exposed in the app.
    * @param {Boolean} [options.shouldRender] whether the app should do rendering or not. If set to false, it puts the app in routing-only.
    * @param {Boolean} [options.disableShoebox] whether we should send the API data in the shoebox. If set to false, it will not send the API data used for rendering the app on server side in the index.html.
+   * @param {string} [options.requestId] the ID of the request, tagging the logs of the sandbox. Defaults to the `id` of the request
    * @param {int} [options.destroyAppInstanceInMs] whether to destroy the instance in the given number of ms. This is a failure mechanism to not wedge the Node process (See: https://github.com/ember-fastboot/fastboot/issues/90)
-   * @returns {Promise<Result>} result
+   * @returns {Promise<Result|null>} result, null when the sandbox failed to build
    */
   async visit(path, options = {}) {
     let resilient = 'resilient' in options ? options.resilient : this.resilient;
@@ -119,6 +132,12 @@ export default class EmberSsr {
       ssrPaths,
       buildSandboxGlobals,
       maxSandboxQueueSize,
+      fetchOptions: this.fetchOptions,
+      fetchShoebox: this.fetchShoebox,
+      vite: this.vite,
+      ssrEntry: this.ssrEntry,
+      ssrConfig: this.ssrConfig,
+      ui: this.ui,
     });
   }
 }
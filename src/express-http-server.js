@@ -1,12 +1,30 @@
+import { randomUUID } from 'node:crypto';
+import http from 'node:http';
+import http2 from 'node:http2';
+import https from 'node:https';
 import { join } from 'node:path';
 import compression from 'compression';
 import express from 'express';
 
 import basicAuth from './basic-auth.js';
+import CacheKey from './caches/cache-key.js';
+import healthCheck from './health-check.js';
+import prerenderedPages from './prerendered-pages.js';
+import purgeEndpoint from './purge-endpoint.js';
+import requestBody from './request-body.js';
+import TlsCredentials from './tls-credentials.js';
+import http2Bridge from './utils/http2-bridge.js';
+import inject from './utils/inject.js';
 import SsrPaths from './utils/ssr-paths.js';
 
 function noop() {}
 
+// incoming request IDs are trusted if they look like one
+const REQUEST_ID_REGEX = /^[\w.:@-]{1,128}$/;
+
+// flags the in-process requests rendering stale cache entries again
+const REVALIDATE = Symbol('revalidate');
+
 export default class ExpressHTTPServer {
   constructor(options) {
     options = options || {};
@@ -16,14 +34,41 @@ export default class ExpressHTTPServer {
     this.username = options.username;
     this.password = options.password;
     this.cache = options.cache;
+    this.cacheKey = options.cacheKey instanceof CacheKey
+      ? options.cacheKey
+      : new CacheKey(options.cacheVary, options.cacheKey);
+    this.purgePath = options.purgePath || '/_ssr/purge';
+    this.purgeToken = options.purgeToken;
+    this.onPurge = options.onPurge;
+    this.routeRules = options.routeRules;
+    this.renderMethods = (options.renderMethods || []).map(method => method.toUpperCase());
+    this.bodyLimit = options.bodyLimit;
+    this.prerenderPath = options.prerenderPath;
     this.gzip = options.gzip || true;
     this.base = options.base;
     this.host = options.host;
     this.port = options.port;
     this.beforeMiddleware = options.beforeMiddleware || noop;
     this.afterMiddleware = options.afterMiddleware || noop;
+    this.vite = options.vite;
+    this.healthCheck = options.healthCheck;
+    this.healthPaths = options.healthPaths;
+    this.metrics = options.metrics;
+    this.requestIdHeader = options.requestIdHeader || 'X-Request-Id';
+    this.tls = options.tls;
+    this.http2 = options.http2;
+    this.httpRedirectPort = options.httpRedirectPort;
 
     this.app = express();
+    this.listener = null;
+    this.redirectListener = null;
+    this.tlsCredentials = null;
+    // open HTTP/2 sessions, closed when draining
+    this.sessions = new Set();
+    this.closing = false;
+    // renders of cache misses by key, awaited by the concurrent misses
+    this.pending = new Map();
+    this.revalidating = new Set();
   }
 
   serve(fastbootMiddleware) {
@@ -32,8 +77,36 @@ export default class ExpressHTTPServer {
     let username = this.username;
     let password = this.password;
 
+    app.use((req, res, next) => {
+      // tags the logs of the request, its sandbox and its response
+      req.id = this.requestId(req);
+      res.set(this.requestIdHeader, req.id);
+
+      // Don't keep connections alive while draining, HTTP/2 sessions are
+      // closed with a GOAWAY frame instead
+      if (this.closing && req.httpVersionMajor < 2) {
+        res.set('Connection', 'close');
+      }
+      next();
+    });
+
+    if (this.healthCheck) {
+      // ahead of the auth and the cache, at the root regardless of `base`
+      app.use(healthCheck(this.healthCheck, this.healthPaths));
+    }
+
+    if (this.cache && this.purgeToken && this.onPurge) {
+      // protected by its own token, at the root regardless of `base`
+      app.use(purgeEndpoint(this.purgeToken, this.purgePath, this.onPurge));
+    }
+
     this.beforeMiddleware(app);
 
+    if (this.vite) {
+      // serves the client modules and HMR in development mode
+      app.use(this.vite.middlewares);
+    }
+
     if (this.gzip) {
       router.use(compression());
     }
@@ -43,74 +116,385 @@ export default class ExpressHTTPServer {
       router.use(basicAuth(username, password));
     }
 
+    if (this.ssrPaths.hasPath && !this.vite) {
+      // the pages rendered ahead of time, see `Prerenderer`
+      router.use(prerenderedPages(() => this.prerenderPath || this.ssrPaths.clientPath, this.ui));
+    }
+
     if (this.cache) {
+      // lets responses varying on the headers and cookies of the cache keys
+      // be stored
+      if (this.cache.varyHeaders === undefined) {
+        this.cache.varyHeaders = this.cacheKey.headers;
+      }
+      if (this.cache.varyCookies === undefined) {
+        this.cache.varyCookies = this.cacheKey.cookies;
+      }
       router.get('/*all', this.buildCacheMiddleware());
+      fastbootMiddleware = this.cacheRenders(fastbootMiddleware);
     }
 
     if (this.ssrPaths.hasPath) {
       router.get('/', fastbootMiddleware);
-      router.use(express.static(this.ssrPaths.clientPath));
-      router.get('/assets/*asset', function(req, res) {
-        res.sendStatus(404);
-      });
+      // in development mode, the client path is the root of the Vite app,
+      // whose files are served by Vite
+      if (!this.vite) {
+        router.use(express.static(this.ssrPaths.clientPath));
+        router.get('/assets/*asset', function(req, res) {
+          res.sendStatus(404);
+        });
+      }
     }
 
     router.get('/*all', fastbootMiddleware);
 
+    if (this.renderMethods.length) {
+      // e.g. the submissions of forms, answered by the app with a page or a redirect
+      let parseBody = requestBody(this.bodyLimit);
+      router.use((req, res, next) => {
+        if (!this.renderMethods.includes(req.method)) {
+          return next();
+        }
+        parseBody(req, res, () => fastbootMiddleware(req, res, next));
+      });
+    }
+
     this.afterMiddleware(router);
 
     const base = join('/', this.base || '/', '/');
     app.use(base, router);
 
-    return new Promise(resolve => {
-      let listener = app.listen(this.port || process.env.PORT || 3000, this.host || process.env.HOST, () => {
+    return new Promise((resolve, reject) => {
+      let listener = this.listener = this.createListener();
+      listener.listen(this.port || process.env.PORT || 3000, this.host || process.env.HOST, () => {
         let host = listener.address().address;
         let port = listener.address().port;
+        let protocol = this.tls ? 'https' : 'http';
+
+        this.ui.writeLine('HTTP server started; url=%s://%s:%s%s', protocol, host, port, base);
+        if (this.http2) {
+          this.ui.writeLine('serving HTTP/2, with HTTP/1.1 fallback');
+        }
+
+        resolve();
+      });
+      // e.g. the port is already in use
+      listener.once('error', reject);
+    })
+      .then(() => this.serveRedirect());
+  }
 
-        this.ui.writeLine('HTTP server started; url=http://%s:%s%s', host, port, base);
+  /**
+   * Creates the server of the app: HTTP, or HTTPS when the `tls` option is
+   * set, or HTTP/2 over TLS with HTTP/1.1 fallback when `http2` is also set.
+   * The TLS certificate is reloaded when its files change.
+   *
+   * @returns {http.Server|https.Server|http2.Http2SecureServer}
+   */
+  createListener() {
+    if (!this.tls) {
+      return http.createServer(this.app);
+    }
 
+    let credentials = this.tlsCredentials = new TlsCredentials(this.tls);
+    let listener;
+    if (this.http2) {
+      listener = http2.createSecureServer(
+        { ...credentials.load(), allowHTTP1: true },
+        http2Bridge(this.app)
+      );
+      listener.on('session', session => {
+        this.sessions.add(session);
+        session.once('close', () => this.sessions.delete(session));
+      });
+    } else {
+      listener = https.createServer(credentials.load(), this.app);
+    }
+
+    credentials.watch(
+      secureOptions => {
+        listener.setSecureContext(secureOptions);
+        this.ui.writeLine('reloaded TLS certificate');
+      },
+      error => this.ui.writeError(`failed to reload TLS certificate: ${error.message}`)
+    );
+
+    return listener;
+  }
+
+  /*
+   * Redirects the requests to `httpRedirectPort` to the HTTPS server.
+   */
+  serveRedirect() {
+    if (!this.tls || !this.httpRedirectPort) {
+      return;
+    }
+
+    let port = this.listener.address().port;
+    this.redirectListener = http.createServer((req, res) => {
+      let hostname = (req.headers.host || this.host || 'localhost').replace(/:\d+$/, '');
+      let location = `https://${hostname}${port === 443 ? '' : `:${port}`}${req.url}`;
+      res.writeHead(301, { Location: location, Connection: 'close' });
+      res.end();
+    });
+
+    return new Promise((resolve, reject) => {
+      this.redirectListener.listen(this.httpRedirectPort, this.host || process.env.HOST, () => {
+        this.ui.writeLine('redirecting HTTP to HTTPS; port=%s', this.httpRedirectPort);
         resolve();
       });
+      this.redirectListener.once('error', reject);
     });
   }
 
+  /**
+   * The ID of a request: the one set by a proxy in the `requestIdHeader`
+   * header, if any, or a new one.
+   *
+   * @param {Request} req
+   * @returns {string}
+   */
+  requestId(req) {
+    const id = req.get(this.requestIdHeader);
+    return id && REQUEST_ID_REGEX.test(id) ? id : randomUUID();
+  }
+
+  /**
+   * Stops accepting connections and resolves once the in-flight requests have
+   * completed, closing the remaining connections after `timeout` ms.
+   *
+   * @param {Number} [timeout]
+   * @returns {Promise}
+   */
+  close(timeout) {
+    this.closing = true;
+    this.tlsCredentials?.close();
+
+    if (this.redirectListener?.listening) {
+      this.redirectListener.close();
+      this.redirectListener.closeAllConnections();
+    }
+
+    return new Promise(resolve => {
+      let listener = this.listener;
+      if (!listener || !listener.listening) {
+        return resolve();
+      }
+
+      let timer;
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          this.ui.writeLine('closing remaining connections');
+          listener.closeAllConnections?.();
+          this.sessions.forEach(session => session.destroy());
+        }, timeout);
+      }
+
+      listener.close(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+      listener.closeIdleConnections?.();
+      // lets the open streams complete
+      this.sessions.forEach(session => session.close());
+    });
+  }
+
+  /*
+   * Serves the cached responses, by the keys of the requests, see `CacheKey`.
+   * Concurrent misses of a key wait for the render of the first one to reach
+   * the app, see `cacheRenders`, and are served its response once cached, or
+   * are rendered when it can't be. Stale entries are served while they are
+   * rendered again in the background, once at a time.
+   */
   buildCacheMiddleware() {
     return (req, res, next) => {
-      let path = req.path;
+      // routes may never be cached, or for their own TTL, see `RouteRules`
+      let cacheTtl = this.routeRules?.match(req.url).cacheTtl;
+      let key = cacheTtl === 0 ? null : this.cacheKey.build(req);
 
-      Promise.resolve(this.cache.fetch(path, req))
+      if (key === null) {
+        this.metrics?.inc('ssr_cache_requests_total', { result: 'bypass' });
+        return next();
+      }
+      if (cacheTtl !== undefined) {
+        res.locals.cacheTtl = cacheTtl;
+      }
+
+      if (req[REVALIDATE]) {
+        res.locals.cacheKey = key;
+        return next();
+      }
+
+      Promise.resolve(this.cache.fetch(key, req))
         .then(response => {
-          if (response) {
-            this.ui.writeLine(`cache hit; path=${path}`);
-            res.send(response);
+          if (response?.stale) {
+            this.metrics?.inc('ssr_cache_requests_total', { result: 'stale' });
+            this.ui.writeLine(`cache stale; key=${key}`);
+            this.sendCached(res, response);
+            this.revalidate(key, req);
+          } else if (response) {
+            this.metrics?.inc('ssr_cache_requests_total', { result: 'hit' });
+            this.ui.writeLine(`cache hit; key=${key}`);
+            this.sendCached(res, response);
+          } else if (this.pending.has(key)) {
+            this.metrics?.inc('ssr_cache_requests_total', { result: 'coalesced' });
+            this.ui.writeLine(`cache miss, awaiting render; key=${key}`);
+            return this.pending.get(key)
+              .then(stored => stored ? this.cache.fetch(key, req) : null)
+              .then(response => response ? this.sendCached(res, response) : next());
           } else {
-            this.ui.writeLine(`cache miss; path=${path}`);
-            this.interceptResponseCompletion(path, res);
+            this.metrics?.inc('ssr_cache_requests_total', { result: 'miss' });
+            this.ui.writeLine(`cache miss; key=${key}`);
+            res.locals.cacheKey = key;
             next();
           }
         })
-        .catch(() => next());
+        .catch(() => {
+          this.metrics?.inc('ssr_cache_requests_total', { result: 'error' });
+          if (!res.headersSent) {
+            next();
+          }
+        });
     };
   }
 
-  interceptResponseCompletion(path, res) {
-    let send = res.send.bind(res);
+  /*
+   * Offers the renders of the cache misses to the cache, their concurrent
+   * misses awaiting them, once the requests reach the app: those served e.g.
+   * by the static files are neither awaited nor collected.
+   */
+  cacheRenders(middleware) {
+    return (req, res, next) => {
+      let key = res.locals.cacheKey;
+      if (key) {
+        // once, the app passing e.g. the unrecognized URLs on
+        delete res.locals.cacheKey;
+        this.interceptResponseCompletion(key, res);
+      }
+      middleware(req, res, next);
+    };
+  }
 
-    res.send = (body) => {
-      let ret = send(body);
+  /**
+   * Renders the page of a request again in the background, to refresh its
+   * stale entry, with the headers of the request, except its `Authorization`
+   * and the cookies its page doesn't vary on.
+   *
+   * @param {string} key
+   * @param {Request} req
+   */
+  revalidate(key, req) {
+    if (this.closing || this.pending.has(key) || this.revalidating.has(key)) {
+      return;
+    }
+    this.revalidating.add(key);
+    this.ui.writeLine(`revalidating cache; key=${key}`);
 
-      this.cache.put(path, body, res)
-        .then(() => {
-          this.ui.writeLine(`stored in cache; path=${path}`);
-        })
-        .catch(() => {
-          let truncatedBody = body.replace(/\n/g).substr(0, 200);
-          this.ui.writeLine(`error storing cache; path=${path}; body=${truncatedBody}...`);
-        });
+    let headers = this.cacheKey.revalidationHeaders(req);
+    delete headers[this.requestIdHeader.toLowerCase()];
 
-      res.send = send;
+    inject(this.app, { url: req.originalUrl, headers, properties: { [REVALIDATE]: true } })
+      .finally(() => this.revalidating.delete(key));
+  }
 
-      return ret;
+  /**
+   * Removes cached responses, see `ResponseCache#purge`.
+   *
+   * @param {Object} criteria
+   * @returns {Promise<Number|null>} the number of entries removed, null if the cache can't purge
+   */
+  purge(criteria) {
+    if (typeof this.cache?.purge !== 'function') {
+      return Promise.resolve(null);
+    }
+    return Promise.resolve(this.cache.purge(criteria));
+  }
+
+  /**
+   * Replays a cached response: its status code, headers and body, or only
+   * its body when the cache stores bodies.
+   *
+   * @param {Response} res
+   * @param {CacheEntry|string} response
+   */
+  sendCached(res, response) {
+    if (typeof response !== 'object' || Buffer.isBuffer(response)) {
+      return res.send(response);
+    }
+
+    const requestIdHeader = this.requestIdHeader.toLowerCase();
+    for (const [name, value] of Object.entries(response.headers || {})) {
+      if (name !== requestIdHeader) {
+        res.set(name, value);
+      }
+    }
+    if (response.storedAt) {
+      res.set('Age', String(Math.max(0, Math.floor((Date.now() - response.storedAt) / 1000))));
+    }
+    res.status(response.statusCode || 200).send(response.body);
+  }
+
+  /*
+   * Collects the body of the response, written at once or in chunks, and
+   * offers the complete response to the cache. Only rendered HTML is
+   * collected, not e.g. the static files of the client build.
+   */
+  interceptResponseCompletion(key, res) {
+    let chunks = [];
+    let { write, end } = res;
+
+    let settle;
+    let pending = new Promise(resolve => {
+      settle = stored => {
+        if (this.pending.get(key) === pending) {
+          this.pending.delete(key);
+        }
+        resolve(stored);
+      };
+    });
+    this.pending.set(key, pending);
+    res.once('close', () => {
+      if (!res.writableFinished) {
+        settle(false);
+      }
+    });
+
+    let collect = (chunk, encoding) => {
+      if (chunks && !res.headersSent && !String(res.getHeader('Content-Type') ?? '').startsWith('text/html')) {
+        chunks = null;
+      }
+      if (chunks && chunk && typeof chunk !== 'function') {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+      }
+    };
+    res.write = function(chunk, encoding, ...args) {
+      collect(chunk, encoding);
+      return write.call(this, chunk, encoding, ...args);
     };
+    res.end = function(chunk, encoding, ...args) {
+      collect(chunk, encoding);
+      return end.call(this, chunk, encoding, ...args);
+    };
+
+    // only complete responses, not those aborted by the client
+    res.once('finish', () => {
+      if (!chunks) {
+        return settle(false);
+      }
+      let body = Buffer.concat(chunks).toString();
+
+      Promise.resolve(this.cache.put(key, body, res))
+        .then(stored => {
+          if (stored !== false) {
+            this.ui.writeLine(`stored in cache; key=${key}`);
+          }
+          settle(stored !== false);
+        })
+        .catch(err => {
+          this.ui.writeError(`error storing cache; key=${key}; error=${err.message}`);
+          settle(false);
+        });
+    });
   }
 }
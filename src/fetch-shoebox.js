@@ -0,0 +1,107 @@
+import debug from './debug.js';
+import { deserializeRegExp } from './regexp.js';
+
+/*
+ * Records the JSON responses of the requests made through the sandbox `fetch`
+ * during a visit, so they can be written into the shoebox and replayed by the
+ * browser during its first render (see `client/fetch-shoebox.js`).
+ *
+ * Entries are keyed by method and absolute URL, e.g. `GET https://example.com/api/posts`.
+ *
+ * Responses to requests sent with credentials, e.g. the cookies or the
+ * `Authorization` of the user forwarded to first-party URLs, may be
+ * personalized: once one is captured, `credentialed` is set, and the page is
+ * served with `Cache-Control: private`, so no shared cache stores it.
+ *
+ * URL patterns are either a `RegExp` (or a serialized `regexp:/.../` string)
+ * tested against the absolute URL, or a string matched as a prefix of the
+ * absolute URL or of its path.
+ *
+ * @param {Object} [options]
+ * @param {Array<string|RegExp>} [options.include] patterns of the URLs to capture; all URLs by default
+ * @param {Array<string|RegExp>} [options.exclude] patterns of the URLs not to capture
+ * @param {string[]} [options.methods=['GET']] request methods to capture
+ * @param {Number} [options.maxSize=102400] maximum size in characters of the captured JSON; responses past it are skipped
+ */
+export default class FetchShoebox {
+  constructor(options = {}) {
+    this.include = options.include?.map(deserializeRegExp) || null;
+    this.exclude = options.exclude?.map(deserializeRegExp) || [];
+    this.methods = (options.methods || ['GET']).map(method => method.toUpperCase());
+    this.maxSize = options.maxSize ?? 100 * 1024;
+
+    this.entries = new Map();
+    this.size = 0;
+    this.pending = [];
+    // whether a response to a request sent with credentials was captured
+    this.credentialed = false;
+  }
+
+  static key(method, url) {
+    return `${method.toUpperCase()} ${url}`;
+  }
+
+  shouldCapture(method, url) {
+    if (!this.methods.includes(method.toUpperCase())) {
+      return false;
+    }
+    if (this.include && !this.include.some(pattern => matchesURL(pattern, url))) {
+      return false;
+    }
+    return !this.exclude.some(pattern => matchesURL(pattern, url));
+  }
+
+  /**
+   * Records the response of a request, if it should be captured and is JSON.
+   * The response itself is left unconsumed.
+   *
+   * @param {string} method the request method
+   * @param {string} url the absolute URL requested by the app
+   * @param {Response} response
+   * @param {Boolean} [credentialed=false] whether the request was sent with cookies or an `Authorization` header
+   */
+  capture(method, url, response, credentialed = false) {
+    if (!response.ok || !this.shouldCapture(method, url)) {
+      return;
+    }
+    if (!/[/+]json\b/i.test(response.headers.get('content-type') || '')) {
+      return;
+    }
+
+    let key = FetchShoebox.key(method, url);
+    let pending = response.clone().text()
+      .then(text => {
+        // Validate and normalize the JSON
+        let body = JSON.stringify(JSON.parse(text));
+        let size = this.size + body.length - (this.entries.get(key)?.body.length || 0);
+        if (size > this.maxSize) {
+          debug('fetch shoebox full, skipping; key=%s; size=%d', key, body.length);
+          return;
+        }
+        this.size = size;
+        this.entries.set(key, { status: response.status, body });
+        this.credentialed ||= credentialed;
+      })
+      .catch(error => {
+        debug('fetch shoebox capture failed; key=%s; error=%s', key, error.message);
+      });
+
+    this.pending.push(pending);
+  }
+
+  /**
+   * Resolves once all captured responses have been read.
+   */
+  async settled() {
+    while (this.pending.length) {
+      await Promise.all(this.pending.splice(0));
+    }
+  }
+}
+
+function matchesURL(pattern, url) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(url);
+  }
+  return url.startsWith(pattern) || new URL(url).pathname.startsWith(pattern);
+}
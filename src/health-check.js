@@ -0,0 +1,57 @@
+export const defaultHealthPaths = {
+  health: '/healthz',
+  readiness: '/readyz',
+  liveness: '/livez',
+};
+
+/*
+ * Serves the health check endpoints, ahead of basic auth, caching and the app:
+ *
+ * - `liveness`: 200 as long as the process answers
+ * - `readiness`: 200 when the worker can take traffic, 503 otherwise, e.g.
+ *   while the app is loading, failed to load, or while draining
+ * - `health`: the full report, with the status code of `readiness`
+ *
+ * A path set to a falsy value disables its endpoint.
+ *
+ * @param {Function} report `() => HealthReport` the state of the worker, see `Worker#health`
+ * @param {Object} [paths] paths of the `health`, `readiness` and `liveness` endpoints
+ */
+export default function(report, paths) {
+  paths = { ...defaultHealthPaths, ...paths };
+
+  return function(req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    let endpoint;
+    switch (req.path) {
+      case paths.liveness:
+        endpoint = 'liveness';
+        break;
+      case paths.readiness:
+        endpoint = 'readiness';
+        break;
+      case paths.health:
+        endpoint = 'health';
+        break;
+      default:
+        return next();
+    }
+
+    res.set('Cache-Control', 'no-store');
+
+    if (endpoint === 'liveness') {
+      return res.json({ status: 'ok' });
+    }
+
+    const health = report();
+    res.status(health.ready ? 200 : 503);
+
+    if (endpoint === 'readiness') {
+      return res.json({ status: health.status });
+    }
+    res.json(health);
+  };
+}
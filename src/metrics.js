@@ -0,0 +1,210 @@
+// seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const metricDefinitions = {
+  ssr_renders_total: {
+    type: 'counter',
+    help: 'Requests handled by the SSR middleware, by response status and outcome',
+  },
+  ssr_render_duration_seconds: {
+    type: 'histogram',
+    help: 'Duration of the phases of a render: sandbox, boot, visit, serialize and total',
+  },
+  ssr_sandbox_build_duration_seconds: {
+    type: 'histogram',
+    help: 'Time to build the sandbox a render used',
+  },
+  ssr_sandboxes_used_total: {
+    type: 'counter',
+    help: 'Sandboxes used by renders, by whether they were pre-built or built on demand',
+  },
+  ssr_renders_active: {
+    type: 'gauge',
+    help: 'Renders running in a worker, when renders are limited',
+  },
+  ssr_render_queue_depth: {
+    type: 'gauge',
+    help: 'Renders waiting to start in a worker, when renders are limited',
+  },
+  ssr_render_queue_wait_seconds: {
+    type: 'histogram',
+    help: 'Time renders waited to start, when renders are limited',
+  },
+  ssr_renders_shed_total: {
+    type: 'counter',
+    help: 'Requests shed instead of rendered, by reason: queue_full or queue_timeout',
+  },
+  ssr_cache_requests_total: {
+    type: 'counter',
+    help: 'Cache lookups, by result: hit, stale, miss, coalesced (awaiting the render of a concurrent miss), bypass or error',
+  },
+  ssr_worker_restarts_total: {
+    type: 'counter',
+    help: 'Workers forked to replace others, by reason',
+  },
+  ssr_workers: {
+    type: 'gauge',
+    help: 'Workers currently running',
+  },
+  ssr_unhealthy: {
+    type: 'gauge',
+    help: '1 once workers crashed too often to be respawned, until the next reload, 0 otherwise',
+  },
+};
+
+function labelsKey(name, labels) {
+  const pairs = Object.keys(labels).sort().map(key => [key, String(labels[key])]);
+  return name + JSON.stringify(pairs);
+}
+
+function formatLabels(labels, extra = {}) {
+  const pairs = Object.entries({ ...labels, ...extra });
+  if (!pairs.length) {
+    return '';
+  }
+  const escape = value => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+  return `{${pairs.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Counters, gauges and histograms of the metrics in `metricDefinitions`.
+ *
+ * Workers collect their metrics and periodically send a snapshot to the
+ * primary, which merges them and serves the aggregate in the Prometheus text
+ * format.
+ */
+export default class Metrics {
+  constructor() {
+    // key of name and labels => { name, labels, value } or, for histograms,
+    // { name, labels, counts, sum, count }
+    this.series = new Map();
+  }
+
+  _get(name, labels) {
+    const definition = metricDefinitions[name];
+    if (!definition) {
+      throw new Error(`Unknown metric '${name}'`);
+    }
+    const key = labelsKey(name, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = definition.type === 'histogram'
+        ? { name, labels, counts: DEFAULT_BUCKETS.map(() => 0), sum: 0, count: 0 }
+        : { name, labels, value: 0 };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  inc(name, labels = {}, value = 1) {
+    this._get(name, labels).value += value;
+  }
+
+  set(name, labels = {}, value) {
+    this._get(name, labels).value = value;
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object} labels
+   * @param {Number} value in seconds for durations
+   */
+  observe(name, labels = {}, value) {
+    const series = this._get(name, labels);
+    const bucket = DEFAULT_BUCKETS.findIndex(le => value <= le);
+    if (bucket !== -1) {
+      series.counts[bucket]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Removes the series having the given labels, e.g. the gauges of a worker
+   * which has exited.
+   *
+   * @param {Object} labels
+   */
+  drop(labels) {
+    for (const [key, series] of this.series) {
+      if (Object.entries(labels).every(([name, value]) => String(series.labels[name]) === String(value))) {
+        this.series.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Copies the series, e.g. to send them to the primary.
+   *
+   * @param {Object} [options]
+   * @param {Boolean} [options.reset=false] whether to clear the series, so the next snapshot only has the new values
+   * @returns {Object[]}
+   */
+  snapshot({ reset = false } = {}) {
+    const snapshot = [...this.series.values()]
+      .map(series => structuredClone(series));
+    if (reset) {
+      this.series.clear();
+    }
+    return snapshot;
+  }
+
+  /**
+   * Adds the values of a snapshot, and sets its gauges.
+   *
+   * @param {Object[]} snapshot
+   */
+  merge(snapshot) {
+    for (const { name, labels, value, counts, sum, count } of snapshot) {
+      if (!metricDefinitions[name]) {
+        continue;
+      }
+      const series = this._get(name, labels);
+      if (counts) {
+        counts.forEach((n, i) => series.counts[i] += n);
+        series.sum += sum;
+        series.count += count;
+      } else if (metricDefinitions[name].type === 'gauge') {
+        series.value = value;
+      } else {
+        series.value += value;
+      }
+    }
+  }
+
+  /**
+   * Formats the series in the Prometheus text exposition format.
+   *
+   * @returns {string}
+   */
+  format() {
+    const lines = [];
+    for (const [name, { type, help }] of Object.entries(metricDefinitions)) {
+      const series = [...this.series.values()].filter(s => s.name === name);
+      if (!series.length) {
+        continue;
+      }
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const { labels, value, counts, sum, count } of series) {
+        if (type !== 'histogram') {
+          lines.push(`${name}${formatLabels(labels)} ${value}`);
+          continue;
+        }
+        let cumulative = 0;
+        DEFAULT_BUCKETS.forEach((le, i) => {
+          cumulative += counts[i];
+          lines.push(`${name}_bucket${formatLabels(labels, { le })} ${cumulative}`);
+        });
+        lines.push(
+          `${name}_bucket${formatLabels(labels, { le: '+Inf' })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`
+        );
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+}
@@ -0,0 +1,112 @@
+import fs from 'node:fs';
+import { join, resolve } from 'node:path';
+
+/**
+ * Notifies of a new build when the files of the app change, once they have
+ * stopped changing for `wait` ms and the `package.json` of the SSR build can
+ * be read, i.e. the build has finished writing.
+ *
+ * Watches the given paths, or the client and SSR paths of the server.
+ *
+ * @example
+ * import ViteEmberSsrServer, { FsNotifier } from 'vite-ember-ssr-server';
+ *
+ * new ViteEmberSsrServer({
+ *   distPath: 'dist',
+ *   notifier: new FsNotifier({ wait: 2000 }),
+ * }).start();
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.paths] directories to watch, defaults to the client and SSR paths of the server
+ * @param {Number} [options.wait=1000] ms without changes after which the build is considered written
+ */
+export default class FsNotifier {
+  constructor(options = {}) {
+    this.paths = options.paths?.map(path => resolve(path));
+    this.wait = options.wait ?? 1000;
+    this.ui = options.ui;
+    this.watchers = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * @param {Function} notify called when a new build has been written
+   * @param {SsrPaths} [ssrPaths] the paths of the server
+   * @returns {Promise}
+   */
+  subscribe(notify, ssrPaths) {
+    this.notify = notify;
+    this.ssrPath = ssrPaths?.ssrPath;
+    const paths = this.paths || [...new Set([ssrPaths?.clientPath, ssrPaths?.ssrPath])].filter(Boolean);
+
+    if (!paths.length) {
+      return Promise.reject(new Error('FsNotifier needs paths to watch'));
+    }
+
+    paths.forEach(path => this.watch(path));
+    this.ui?.writeLine(`watching for new builds; paths=${paths.join(', ')}`);
+    return Promise.resolve();
+  }
+
+  unsubscribe() {
+    clearTimeout(this.timer);
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+    this.notify = null;
+  }
+
+  watch(path) {
+    try {
+      const watcher = fs.watch(path, { recursive: true, persistent: false }, () => this.changed());
+      // e.g. the directory was removed by a clean build, watch it again once
+      // it's back
+      watcher.on('error', () => this.rewatch(path));
+      this.watchers.set(path, watcher);
+    } catch (e) {
+      this.rewatch(path);
+    }
+  }
+
+  rewatch(path) {
+    this.watchers.get(path)?.close();
+    this.watchers.delete(path);
+    if (!this.notify) {
+      return;
+    }
+    setTimeout(() => {
+      if (this.notify) {
+        this.watch(path);
+        this.changed();
+      }
+    }, this.wait).unref();
+  }
+
+  changed() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      if (!this.notify) {
+        return;
+      }
+      if (!this.isWritten()) {
+        // still being written
+        return this.changed();
+      }
+      this.notify();
+    }, this.wait);
+    this.timer.unref();
+  }
+
+  isWritten() {
+    if (!this.ssrPath) {
+      return true;
+    }
+    try {
+      JSON.parse(fs.readFileSync(join(this.ssrPath, 'package.json'), 'utf8'));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+}
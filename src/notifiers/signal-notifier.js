@@ -0,0 +1,45 @@
+/**
+ * Notifies of a new build when the primary process receives a signal,
+ * `SIGHUP` by default, e.g. `kill -HUP <pid>` once a deploy has replaced the
+ * files of the app.
+ *
+ * @example
+ * import ViteEmberSsrServer, { SignalNotifier } from 'vite-ember-ssr-server';
+ *
+ * new ViteEmberSsrServer({
+ *   distPath: 'dist',
+ *   notifier: new SignalNotifier(),
+ * }).start();
+ *
+ * @param {Object} [options]
+ * @param {string} [options.signal='SIGHUP']
+ */
+export default class SignalNotifier {
+  constructor(options = {}) {
+    this.signal = options.signal || 'SIGHUP';
+    this.ui = options.ui;
+    this.listener = null;
+  }
+
+  /**
+   * @param {Function} notify called when the signal is received
+   * @returns {Promise}
+   */
+  subscribe(notify) {
+    this.listener = () => {
+      this.ui?.writeLine(`received ${this.signal}`);
+      notify();
+    };
+    process.on(this.signal, this.listener);
+    this.ui?.writeLine(`reloading on ${this.signal}; pid=${process.pid}`);
+
+    return Promise.resolve();
+  }
+
+  unsubscribe() {
+    if (this.listener) {
+      process.off(this.signal, this.listener);
+      this.listener = null;
+    }
+  }
+}
@@ -0,0 +1,66 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import { resolve } from 'node:path';
+
+/**
+ * Notifies of a new build when the contents of a file change, e.g. a version
+ * file written last by the deploy, or the Vite manifest of the build. The file
+ * is read every `interval` ms.
+ *
+ * @example
+ * import ViteEmberSsrServer, { VersionFileNotifier } from 'vite-ember-ssr-server';
+ *
+ * new ViteEmberSsrServer({
+ *   distPath: 'dist',
+ *   notifier: new VersionFileNotifier({ path: 'dist/ssr/.vite/manifest.json' }),
+ * }).start();
+ *
+ * @param {Object} options
+ * @param {string} options.path the file to poll
+ * @param {Number} [options.interval=5000] ms between reads of the file
+ */
+export default class VersionFileNotifier {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('VersionFileNotifier needs the path of a file to poll');
+    }
+    this.path = resolve(options.path);
+    this.interval = options.interval ?? 5000;
+    this.ui = options.ui;
+    this.version = null;
+    this.timer = null;
+  }
+
+  /**
+   * @param {Function} notify called when the file has changed
+   * @returns {Promise}
+   */
+  subscribe(notify) {
+    this.version = this.read();
+    this.ui?.writeLine(`polling for new builds; path=${this.path}; version=${this.version ?? 'none'}`);
+
+    this.timer = setInterval(() => {
+      const version = this.read();
+      // a missing file, e.g. while it's being replaced, isn't a new version
+      if (version !== null && version !== this.version) {
+        this.version = version;
+        notify();
+      }
+    }, this.interval);
+    this.timer.unref();
+
+    return Promise.resolve();
+  }
+
+  unsubscribe() {
+    clearInterval(this.timer);
+  }
+
+  read() {
+    try {
+      return createHash('sha1').update(fs.readFileSync(this.path)).digest('hex');
+    } catch (e) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,70 @@
+import fs from 'node:fs/promises';
+import { join } from 'node:path';
+
+import { MANIFEST_FILE, pageUrl, readManifest } from './prerenderer.js';
+
+// ms between the checks of the manifest for changes
+const CHECK_INTERVAL = 1000;
+
+/*
+ * Serves the pages written by `Prerenderer`, ahead of the cache and the app,
+ * which renders the others. The pages are listed by the manifest of the
+ * directory, read again once it changes, e.g. when prerendering again, or
+ * when the directory does, e.g. once a new build is downloaded. The manifest
+ * is checked at most once a second, rather than on every request.
+ *
+ * @param {Function} directory `() => string` the directory of the pages
+ * @param {Ui} [ui]
+ */
+export default function(directory, ui) {
+  let loaded = { path: null, mtimeMs: null, pages: {}, checkedAt: 0 };
+  // the check in progress, shared by the concurrent requests
+  let checking = null;
+
+  async function check(path) {
+    let mtimeMs = null;
+    try {
+      ({ mtimeMs } = await fs.stat(join(path, MANIFEST_FILE)));
+    } catch (e) {
+      // not prerendered
+    }
+    if (loaded.path !== path || loaded.mtimeMs !== mtimeMs) {
+      loaded = { path, mtimeMs, pages: mtimeMs === null ? {} : (await readManifest(path)).pages };
+    }
+    loaded.checkedAt = Date.now();
+    return loaded;
+  }
+
+  function pages() {
+    const path = directory();
+    if (loaded.path === path && Date.now() - loaded.checkedAt < CHECK_INTERVAL) {
+      return Promise.resolve(loaded);
+    }
+    checking ??= check(path).finally(() => {
+      checking = null;
+    });
+    return checking;
+  }
+
+  return function(req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    pages()
+      .then(({ path, pages }) => {
+        const file = pages[pageUrl(req.path)];
+        if (!file) {
+          return next();
+        }
+        ui?.debug(`serving prerendered page; path=${req.path}; file=${file}`, { requestId: req.id });
+        res.sendFile(file, { root: path }, err => {
+          // e.g. removed meanwhile, the app renders the page
+          if (err && !res.headersSent) {
+            next();
+          }
+        });
+      })
+      .catch(() => next());
+  };
+}
@@ -0,0 +1,315 @@
+import fs from 'node:fs/promises';
+import { dirname, join, resolve, sep } from 'node:path';
+
+// the list of the prerendered pages of a directory, by URL, served ahead of
+// the app; hidden from `express.static`, which ignores dot files
+export const MANIFEST_FILE = '.prerendered.json';
+
+// the file of the root page, in the client path, whose `index.html` is the
+// template of the rendered pages
+export const ROOT_PAGE_FILE = 'index.prerendered.html';
+
+const LINK_REGEX = /<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+
+// links to files, e.g. `/docs/guide.pdf`, rather than pages
+const FILE_REGEX = /\/[^/]*\.[a-z0-9]+$/i;
+
+/**
+ * The URL of a page, without trailing slash, query string or hash, as listed
+ * in the manifest of the prerendered pages.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function pageUrl(url) {
+  const { pathname } = new URL(url, 'http://localhost');
+  return pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+}
+
+/**
+ * The manifest of the pages prerendered into a directory, empty when there's
+ * none.
+ *
+ * @param {string} path the directory
+ * @returns {Promise<{ createdAt?: string, pages: Object<string, string> }>} the files of the pages by URL
+ */
+export async function readManifest(path) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(join(path, MANIFEST_FILE), 'utf8'));
+    return { ...manifest, pages: manifest.pages || {} };
+  } catch (e) {
+    // nothing prerendered
+    return { pages: {} };
+  }
+}
+
+/**
+ * The file of a prerendered page, relative to the output directory, e.g.
+ * `about/index.html` for `/about`.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function pageFile(url) {
+  const segments = pageUrl(url).split('/').filter(Boolean).map(decodeURIComponent);
+  return [...segments, 'index.html'].join('/');
+}
+
+function decodeEntities(href) {
+  return href
+    .replace(/&amp;/g, '&')
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)));
+}
+
+/**
+ * @typedef PrerenderedPage
+ * @property {string} url
+ * @property {Number|null} statusCode null when the render failed
+ * @property {string|null} file the file written, relative to the output directory
+ * @property {string} [location] the target of a redirect
+ * @property {string} [reason] why the page wasn't written
+ */
+/**
+ * Renders pages of the app ahead of time, into `<url>/index.html` files of
+ * the output directory, served by the server ahead of the app. Pages are
+ * rendered by URL, or crawled from seed URLs by following the links to the
+ * other pages of the app. Only pages rendered with a 200 status code are
+ * written; the others are reported. The root page is written into
+ * `index.prerendered.html` when the output directory is the client path,
+ * whose `index.html` is the template of the rendered pages.
+ *
+ * URLs are relative to the `rootURL` of the app, like those of the requests
+ * rendered by the server, and their query strings are ignored, the pages
+ * being served by path.
+ *
+ * @example
+ * import EmberSsr from 'vite-ember-ssr-server/ember-ssr';
+ *
+ * const prerenderer = new Prerenderer({
+ *   emberSsr: new EmberSsr({ distPath: 'dist' }),
+ *   outputPath: 'dist/prerendered',
+ *   crawl: true,
+ * });
+ * const { pages, failed } = await prerenderer.run(['/', '/docs']);
+ *
+ * @param {Object} options
+ * @param {EmberSsr} options.emberSsr
+ * @param {string} [options.outputPath] the directory of the files, the client path of the app by default
+ * @param {Number} [options.concurrency=4] the number of pages rendered at once
+ * @param {Boolean} [options.crawl=false] whether to follow the links of the pages to the other pages of the app
+ * @param {Number} [options.maxPages=1000] the number of pages after which links aren't followed anymore
+ * @param {string} [options.origin='http://localhost'] the origin of the requests rendered, links to others aren't followed
+ * @param {string} [options.base] the `rootURL` of the app by default
+ * @param {Ui} [options.ui]
+ */
+export default class Prerenderer {
+  constructor(options = {}) {
+    this.emberSsr = options.emberSsr;
+    this.outputPath = resolve(options.outputPath || this.emberSsr.ssrPaths.clientPath);
+    this.concurrency = Math.max(1, Number(options.concurrency) || 4);
+    this.crawl = Boolean(options.crawl);
+    this.maxPages = options.maxPages ?? 1000;
+    this.origin = new URL(options.origin || 'http://localhost').origin;
+    this.base = options.base || this.appBase();
+    this.ui = options.ui;
+  }
+
+  appBase() {
+    const app = this.emberSsr._app;
+    return app.config?.[app.appName]?.rootURL || '/';
+  }
+
+  /**
+   * Renders the pages of the URLs, and of the links they lead to when
+   * crawling, and adds those rendered to the manifest, see `writeManifest`.
+   *
+   * @param {string[]} urls
+   * @returns {Promise<{ pages: PrerenderedPage[], written: PrerenderedPage[], failed: PrerenderedPage[] }>}
+   */
+  async run(urls) {
+    const seen = new Set();
+    const queue = [];
+    const enqueue = url => {
+      url = pageUrl(url);
+      if (!seen.has(url)) {
+        seen.add(url);
+        queue.push(url);
+      }
+    };
+    urls.forEach(enqueue);
+
+    // e.g. relative links adding a segment to the URL on each page
+    let truncated = false;
+    const follow = url => {
+      if (seen.size < this.maxPages) {
+        enqueue(url);
+      } else if (!truncated && !seen.has(pageUrl(url))) {
+        truncated = true;
+        this.ui?.writeError(`not following links beyond ${this.maxPages} pages; url=${pageUrl(url)}`);
+      }
+    };
+
+    const pages = [];
+    let active = 0;
+    await new Promise(resolve => {
+      const next = () => {
+        if (!active && !queue.length) {
+          return resolve();
+        }
+        while (active < this.concurrency && queue.length) {
+          active++;
+          this.prerender(queue.shift(), follow)
+            .then(page => pages.push(page))
+            .finally(() => {
+              active--;
+              next();
+            });
+        }
+      };
+      next();
+    });
+
+    pages.sort((a, b) => a.url < b.url ? -1 : a.url > b.url ? 1 : 0);
+    const written = pages.filter(page => page.file);
+    await this.writeManifest(pages);
+
+    return { pages, written, failed: pages.filter(page => page.statusCode !== 200) };
+  }
+
+  /**
+   * Renders a page and writes it, if rendered with a 200 status code.
+   *
+   * @param {string} url
+   * @param {Function} [enqueue] `(url) => void` called with the links of the page to the other pages of the app
+   * @returns {Promise<PrerenderedPage>}
+   */
+  async prerender(url, enqueue) {
+    const page = { url, statusCode: null, file: null };
+    try {
+      const result = await this.emberSsr.visit(url, {
+        resilient: true,
+        request: this.buildRequest(url),
+        requestId: `prerender:${url}`,
+      });
+      if (!result) {
+        throw new Error('The application could not be built, see the sandbox errors');
+      }
+      if (result.error) {
+        page.statusCode = result.error.name === 'UnrecognizedURLError' ? 404 : 500;
+        page.reason = result.error.message;
+      } else {
+        page.statusCode = result.statusCode;
+      }
+
+      if (page.statusCode >= 300 && page.statusCode < 400) {
+        page.location = result.headers.get('location');
+      }
+      if (page.statusCode !== 200) {
+        this.ui?.writeError(`not prerendered; url=${url}; status=${page.statusCode}${page.reason ? `; reason=${page.reason}` : ''}`);
+        return page;
+      }
+
+      const html = await result.html();
+      if (enqueue && this.crawl) {
+        this.links(url, html).forEach(enqueue);
+      }
+
+      let file = pageFile(url);
+      if (this.isTemplate(file)) {
+        file = ROOT_PAGE_FILE;
+      }
+      await this.write(file, html);
+      page.file = file;
+      this.ui?.writeLine(`prerendered; url=${url}; file=${file}`);
+    } catch (error) {
+      page.statusCode ??= 500;
+      page.reason = error.message;
+      this.ui?.writeError(`not prerendered; url=${url}; error=${error.stack}`);
+    }
+    return page;
+  }
+
+  /*
+   * The request of a page, as seen by the app, e.g. by its `fetch`.
+   */
+  buildRequest(url) {
+    const { searchParams } = new URL(url, this.origin);
+    return {
+      protocol: this.origin.slice(0, this.origin.indexOf(':')),
+      method: 'GET',
+      url,
+      query: Object.fromEntries(searchParams),
+      headers: { host: new URL(this.origin).host },
+    };
+  }
+
+  /**
+   * The URLs of the pages of the app linked from a page, relative to the
+   * `rootURL` of the app.
+   *
+   * @param {string} url the URL of the page
+   * @param {string} html
+   * @returns {string[]}
+   */
+  links(url, html) {
+    const base = this.base.endsWith('/') ? this.base : `${this.base}/`;
+    const pageHref = new URL(base.slice(0, -1) + url, this.origin);
+    const links = [];
+    for (const match of html.matchAll(LINK_REGEX)) {
+      let link;
+      try {
+        link = new URL(decodeEntities(match[1] ?? match[2] ?? match[3]), pageHref);
+      } catch (e) {
+        continue;
+      }
+      const path = `${link.pathname}/`.startsWith(base) ? link.pathname.slice(base.length - 1) || '/' : null;
+      if (link.origin === this.origin && path && !FILE_REGEX.test(path)) {
+        links.push(path);
+      }
+    }
+    return links;
+  }
+
+  // the index.html of the client path is the template of the rendered pages
+  isTemplate(file) {
+    return file === 'index.html' && this.outputPath === resolve(this.emberSsr.ssrPaths.clientPath);
+  }
+
+  async write(file, html) {
+    const path = resolve(this.outputPath, file);
+    if (!path.startsWith(this.outputPath + sep)) {
+      throw new Error(`${file} is outside of ${this.outputPath}`);
+    }
+    await fs.mkdir(dirname(path), { recursive: true });
+    // replaces the file being served at once
+    const tmp = `${path}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, html);
+    await fs.rename(tmp, path);
+  }
+
+  /**
+   * Updates the manifest with the pages of a run, keeping the pages
+   * prerendered by the previous runs: the pages written are added, and
+   * those which couldn't be, e.g. now not found, are removed, so the app
+   * renders them.
+   *
+   * @param {PrerenderedPage[]} pages
+   */
+  async writeManifest(pages) {
+    const files = { ...(await readManifest(this.outputPath)).pages };
+    for (const { url, file } of pages) {
+      if (file) {
+        files[url] = file;
+      } else {
+        delete files[url];
+      }
+    }
+    const manifest = {
+      createdAt: new Date().toISOString(),
+      pages: Object.fromEntries(Object.entries(files).sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0)),
+    };
+    await fs.mkdir(this.outputPath, { recursive: true });
+    await fs.writeFile(join(this.outputPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+  }
+}
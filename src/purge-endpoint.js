@@ -0,0 +1,88 @@
+import { timingSafeEqual } from 'node:crypto';
+import express from 'express';
+
+const CRITERIA = ['paths', 'prefixes', 'surrogateKeys'];
+
+function isAuthorized(req, token) {
+  const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !credentials) {
+    return false;
+  }
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(credentials);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/*
+ * Validates the JSON body of a purge, e.g. `{ "surrogateKeys": ["product-1"] }`,
+ * returning the criteria of `ResponseCache#purge`, or null when invalid.
+ */
+function parseCriteria(body) {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+  const criteria = {};
+  for (const name of CRITERIA) {
+    const values = body[name];
+    if (values === undefined) {
+      continue;
+    }
+    if (!Array.isArray(values) || !values.every(value => typeof value === 'string')) {
+      return null;
+    }
+    criteria[name] = values;
+  }
+  if (body.all === true) {
+    criteria.all = true;
+  }
+  return Object.keys(criteria).length ? criteria : null;
+}
+
+/*
+ * Serves the purge endpoint, ahead of basic auth, caching and the app, which
+ * removes cached responses by path, path prefix or surrogate key, in every
+ * worker:
+ *
+ *     curl -X POST -H 'Authorization: Bearer <token>' \
+ *       -H 'Content-Type: application/json' \
+ *       -d '{ "paths": ["/"], "prefixes": ["/blog/"], "surrogateKeys": ["product-1"] }' \
+ *       https://example.com/_ssr/purge
+ *
+ * Answers 202 once the purge is requested, 401 without the token, and 400
+ * without valid criteria.
+ *
+ * @param {string} token the bearer token of the requests
+ * @param {string} path
+ * @param {Function} onPurge `(criteria) => void` requests the purge
+ */
+export default function(token, path, onPurge) {
+  const parseJson = express.json({ limit: '100kb' });
+
+  return function(req, res, next) {
+    if (req.path !== path) {
+      return next();
+    }
+
+    res.set('Cache-Control', 'no-store');
+
+    if (req.method !== 'POST') {
+      res.set('Allow', 'POST');
+      return res.status(405).json({ error: 'method not allowed' });
+    }
+    if (!isAuthorized(req, token)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+
+    parseJson(req, res, err => {
+      const criteria = err ? null : parseCriteria(req.body);
+      if (!criteria) {
+        return res.status(400).json({
+          error: 'expected a JSON object with arrays of paths, prefixes or surrogateKeys, or all: true',
+        });
+      }
+      onPurge(criteria);
+      res.status(202).json({ status: 'accepted', ...criteria });
+    });
+  };
+}
@@ -0,0 +1,133 @@
+import { join } from 'node:path';
+import fs from 'fs-extra';
+
+import { clientShell } from './result.js';
+
+const { readFile } = fs;
+
+export const errorPolicies = ['app', 'static', 'shell', 'next'];
+
+/*
+ * Handles the errors of a visit, once the response has been taken over from
+ * the app, according to a policy:
+ *
+ * - `app`: renders the app at `errorPath`, with the error in the visit
+ *   metadata, so the app's own error route can display it
+ * - `static`: serves the `errorPage` file from the client path
+ * - `shell`: serves the client-side only `index.html`, so the browser app can
+ *   recover (default)
+ * - `next`: passes the error on to the next Express error handler
+ *
+ * When a policy can't render its page, e.g. when the app doesn't render it
+ * within the render timeout of the request, it falls back to `shell`. Pages are
+ * served with a 500 status code. The `onRenderError` hooks are called before
+ * rendering; a hook may send its own response, in which case nothing else is
+ * written.
+ *
+ * @param {Object} options
+ * @param {EmberSsr} options.emberSsr
+ * @param {string} [options.policy='shell'] one of `app`, `static`, `shell` or `next`
+ * @param {string} [options.errorPage='500.html'] path of the static error page, relative to the client path
+ * @param {string} [options.errorPath='/error'] URL rendered by the `app` policy
+ * @param {Function|Function[]} [options.onRenderError] `(error, req, res)` hooks, e.g. for reporting
+ * @param {Number|Function} [options.renderTimeout] ms the `app` policy may render for before falling back to `shell`, or `(req) => ms`
+ * @param {Function} [options.shellHtml] `() => Promise<string>` the HTML of the client shell, defaults to the `index.html` of the app
+ * @param {Function} [options.log] `(statusCode, message, req)` logger
+ */
+export default class RenderErrorHandler {
+  constructor(options) {
+    this.emberSsr = options.emberSsr;
+    this.policy = options.policy || 'shell';
+    this.errorPage = options.errorPage || '500.html';
+    this.errorPath = options.errorPath || '/error';
+    this.hooks = [].concat(options.onRenderError || []);
+    this.renderTimeout = options.renderTimeout;
+    this.shellHtml = options.shellHtml || (() => this.emberSsr._app.html);
+    this.log = options.log || function() {};
+
+    if (!errorPolicies.includes(this.policy)) {
+      throw new Error(
+        `Unknown render error policy '${this.policy}', expected one of: ${errorPolicies.join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Reports the error and renders the error page, unless the response has
+   * already been sent.
+   */
+  async handle(error, req, res, next) {
+    await this.report(error, req, res);
+
+    if (res.headersSent) {
+      if (!res.writableEnded) {
+        res.end();
+      }
+      return;
+    }
+
+    if (this.policy === 'next') {
+      return next(error);
+    }
+
+    let html = null;
+    if (this.policy === 'app') {
+      html = await this.renderApp(error, req, res);
+    } else if (this.policy === 'static') {
+      html = await this.readErrorPage();
+    }
+
+    html ??= clientShell(await this.shellHtml());
+
+    res.status(500).type('text/html').send(html);
+  }
+
+  /**
+   * Logs the error and calls the `onRenderError` hooks, without writing a
+   * response, e.g. once a streamed response has already been started.
+   */
+  async report(error, req, res) {
+    this.log(500, `NOT OK ${req.url} ${error.stack || error}`, req);
+
+    for (const hook of this.hooks) {
+      try {
+        await hook(error, req, res);
+      } catch (hookError) {
+        this.log(500, `onRenderError hook failed: ${hookError.stack || hookError}`, req);
+      }
+    }
+  }
+
+  async renderApp(error, req, res) {
+    const timeout = typeof this.renderTimeout === 'function'
+      ? this.renderTimeout(req) : this.renderTimeout;
+    try {
+      const result = await this.emberSsr.visit(this.errorPath, {
+        request: req,
+        response: res,
+        resilient: true,
+        metadata: { error },
+        destroyAppInstanceInMs: timeout || undefined,
+      });
+      if (result?.timedOut) {
+        this.log(500, `error page render timed out; path=${this.errorPath}; timeout=${timeout}ms`, req);
+      }
+      if (!result || result.error) {
+        return null;
+      }
+      return await result.html();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async readErrorPage() {
+    const clientPath = this.emberSsr.ssrPaths.clientPath;
+    try {
+      return await readFile(join(clientPath, this.errorPage), 'utf8');
+    } catch (e) {
+      this.log(500, `error page not found; path=${join(clientPath, this.errorPage)}`);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,105 @@
+// the responses to the renders shed: a 503 with `Retry-After`, or the client shell
+export const shedPolicies = ['unavailable', 'shell'];
+
+function limitError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Limits the renders of a worker running at once, e.g. so a burst of requests
+ * doesn't build sandboxes on demand until the worker runs out of memory. The
+ * renders past the limit wait in a queue, in order, and are shed when the
+ * queue is full or once they have waited for `maxWait` ms.
+ *
+ * @example
+ * const limiter = new RenderLimiter({ concurrency: 4, maxQueue: 50, maxWait: 5000 });
+ * const release = await limiter.acquire();
+ * try {
+ *   await render();
+ * } finally {
+ *   release();
+ * }
+ *
+ * @param {Object} options
+ * @param {Number} options.concurrency the renders running at once
+ * @param {Number} [options.maxQueue=100] the renders waiting at once
+ * @param {Number} [options.maxWait=10000] ms a render waits for at most
+ */
+export default class RenderLimiter {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, Number(options.concurrency) || 1);
+    this.maxQueue = options.maxQueue ?? 100;
+    this.maxWait = options.maxWait ?? 10000;
+    this.active = 0;
+    // waiting renders, from the oldest
+    this.queue = [];
+  }
+
+  get queued() {
+    return this.queue.length;
+  }
+
+  /**
+   * Waits for a render to be allowed to start.
+   *
+   * @param {AbortSignal} [signal] leaves the queue, e.g. once the request is aborted
+   * @returns {Promise<Function>} resolves to the function releasing the render, rejects with a `RenderQueueFullError` or `RenderQueueTimeoutError` when shed, or an `AbortError`
+   */
+  acquire(signal) {
+    if (signal?.aborted) {
+      return Promise.reject(limitError('AbortError', 'the request was aborted'));
+    }
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve(this.releaser());
+    }
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(limitError(
+        'RenderQueueFullError', `${this.queue.length} renders are already waiting`
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => leave(limitError('AbortError', 'the request was aborted'));
+      const timer = setTimeout(() => leave(limitError(
+        'RenderQueueTimeoutError', `waited for ${this.maxWait}ms without starting`
+      )), this.maxWait);
+      const settle = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const waiting = release => {
+        settle();
+        resolve(release);
+      };
+      const leave = error => {
+        this.queue.splice(this.queue.indexOf(waiting), 1);
+        settle();
+        reject(error);
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(waiting);
+    });
+  }
+
+  releaser() {
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+
+      const next = this.queue.shift();
+      if (!next) {
+        this.active--;
+        return;
+      }
+      // the slot passes on to the oldest waiting render
+      next(this.releaser());
+    };
+  }
+}
@@ -0,0 +1,72 @@
+import express from 'express';
+
+function append(fields, name, value) {
+  fields[name] = name in fields ? [].concat(fields[name], value) : value;
+}
+
+/*
+ * Parses `multipart/form-data` bodies into their fields, like those of the
+ * urlencoded bodies: values by name, or arrays of the values of repeated
+ * names. Uploaded files are left out.
+ */
+function multipart(limit) {
+  const raw = express.raw({ type: 'multipart/form-data', limit });
+
+  return function(req, res, next) {
+    raw(req, res, err => {
+      if (err || !Buffer.isBuffer(req.body)) {
+        return next(err);
+      }
+      new Request('http://localhost/', {
+        method: 'POST',
+        headers: { 'content-type': req.get('Content-Type') },
+        body: req.body,
+      })
+        .formData()
+        .then(form => {
+          const fields = Object.create(null);
+          for (const [name, value] of form) {
+            if (typeof value === 'string') {
+              append(fields, name, value);
+            }
+          }
+          req.body = fields;
+          next();
+        })
+        .catch(error => {
+          error.status = 400;
+          next(error);
+        });
+    });
+  };
+}
+
+/*
+ * Parses the bodies of the requests rendered by the app, other than `GET`
+ * ones, e.g. the submissions of forms, into the `body` of the request exposed
+ * to the app (see `SsrRequest`): urlencoded and multipart fields, or JSON.
+ * Bodies of other types are left unparsed. Bodies larger than `limit` are
+ * answered with a 413, and malformed ones with a 400.
+ *
+ * @param {Number|string} [limit='100kb'] the size of the bodies, in bytes or e.g. `1mb`
+ */
+export default function(limit = '100kb') {
+  const parsers = [
+    express.urlencoded({ extended: false, limit }),
+    express.json({ limit }),
+    multipart(limit),
+  ];
+
+  return function(req, res, next) {
+    const parse = index => err => {
+      if (err) {
+        return res.sendStatus(err.status || 400);
+      }
+      if (index === parsers.length) {
+        return next();
+      }
+      parsers[index](req, res, parse(index + 1));
+    };
+    parse(0)();
+  };
+}
@@ -1,5 +1,52 @@
-const SHOEBOX_TAG_PATTERN = '<script type="ssr/shoebox"';
+// The DOM serializer doesn't keep attribute order, so match `type` anywhere in the tag
+const SHOEBOX_TAG_REGEX = /(?=<script\b[^>]*\stype="ssr\/shoebox")/;
 const HTML_HEAD_REGEX = /^([\s\S]*<\/head>)([\s\S]*)/;
+const HTML_HEAD_CLOSE_REGEX = /<\/head>/i;
+const HEAD_MARKER = '<!-- VITE_EMBER_SSR_HEAD -->';
+
+/**
+ * Returns the static part of the base HTML that can be flushed to the client
+ * before the app has rendered: everything up to, but not including, the
+ * closing `head` tag, without the head placeholder. The rest of the document
+ * is produced by {@link Result#streamingChunks} once the render settles.
+ *
+ * @param {string} html the base HTML document
+ * @returns {string} the head of the document, left open
+ */
+export function streamingHead(html) {
+  let index = html.search(HTML_HEAD_CLOSE_REGEX);
+  if (index === -1) {
+    missingTag('</head>');
+  }
+  return html.slice(0, index).replace(HEAD_MARKER, '');
+}
+
+/**
+ * Returns the part of the base HTML that follows {@link streamingHead}, used
+ * to complete the document when no result could be rendered.
+ *
+ * @param {string} html the base HTML document
+ * @returns {string} the closing `head` tag and the rest of the document
+ */
+export function streamingTail(html) {
+  let index = html.search(HTML_HEAD_CLOSE_REGEX);
+  if (index === -1) {
+    missingTag('</head>');
+  }
+  return clientShell(html.slice(index));
+}
+
+/**
+ * Returns the base HTML without the server-rendered content placeholders, to
+ * be served when the app could not be rendered so the browser app boots from
+ * scratch.
+ *
+ * @param {string} html the base HTML document
+ * @returns {string} the client-side only document
+ */
+export function clientShell(html) {
+  return html.replace(/<!-- VITE_EMBER_SSR_(HEAD|BODY) -->/g, '');
+}
 
 /**
  * Represents the rendered result of visiting an Ember app at a particular URL.
@@ -16,6 +63,9 @@ export default class Result {
     (fastbootInfo.response ||= {}).statusCode ||= 200;
     this.applicationInstance = undefined;
     this.applicationInstanceInstance = undefined;
+    this.sandboxFetch = undefined;
+    this.timedOut = false;
+    this.dynamicImports = new Set();
     this.analytics = {};
   }
 
@@ -90,16 +140,68 @@ export default class Result {
         );
       }
 
-      let [plainBody, ...shoeboxes] = body.split(SHOEBOX_TAG_PATTERN);
+      let [plainBody, ...shoeboxes] = body.split(SHOEBOX_TAG_REGEX);
 
-      let chunks = [head, plainBody].concat(
-        shoeboxes.map(shoebox => `${SHOEBOX_TAG_PATTERN}${shoebox}`)
-      );
+      let chunks = [head, plainBody].concat(shoeboxes);
 
       return chunks;
     });
   }
 
+  /**
+   * Returns the rest of the document after the head chunk produced by
+   * {@link streamingHead} has already been sent, split into chunks like
+   * {@link Result#chunks}. The first chunk contains the rendered head contents
+   * and the closing `head` tag, followed by the body and shoebox chunks.
+   *
+   * Since the response headers have already been sent, the status code is
+   * reported in a `<meta name="ssr-status">` tag, and redirects are performed
+   * with a `<meta http-equiv="refresh">` tag. Classes and attributes the app
+   * adds to the `html` element are lost, because its tag has been flushed.
+   *
+   * @returns {Promise<Array<String>>} the rest of the document, split into chunks
+   */
+  async streamingChunks() {
+    let response = this._fastbootInfo.response;
+    let statusCode = response && response.statusCode;
+    let status = statusCode && statusCode !== 200
+      ? `<meta name="ssr-status" content="${statusCode}">` : '';
+
+    if (statusCode === 204) {
+      return [`${status}</head><body></body></html>`];
+    } else if (statusCode >= 300 && statusCode <= 399) {
+      let location = response.headers.get('location');
+      if (!location) {
+        return [`${status}</head><body></body></html>`];
+      }
+      location = escapeAttrValue(location);
+      return [
+        `${status}<meta http-equiv="refresh" content="0; url=${location}"></head>` +
+        `<body><h1>Redirecting to <a href="${location}">${location}</a></h1></body></html>`
+      ];
+    }
+
+    let index = this._html.search(HTML_HEAD_CLOSE_REGEX);
+    if (index === -1) {
+      missingTag('</head>');
+    }
+
+    let html = await insertIntoIndexHTML(
+      HEAD_MARKER + this._html.slice(index),
+      null,
+      null,
+      this._head,
+      this._body,
+      this._bodyAttributes,
+      this._bodyClass
+    );
+
+    let [plainDocument, ...shoeboxes] = (status + html).split(SHOEBOX_TAG_REGEX);
+    let [head, ...body] = plainDocument.split(HTML_HEAD_CLOSE_REGEX);
+
+    return [`${head}</head>`, body.join('</head>')].concat(shoeboxes);
+  }
+
   /**
    * Returns the serialized representation of DOM HEAD and DOM BODY
    *
@@ -158,6 +260,10 @@ export default class Result {
 
     this.isDestroyed = true;
 
+    if (this.sandboxFetch !== undefined) {
+      this.sandboxFetch.abort();
+    }
+
     if (this.applicationInstanceInstance !== undefined) {
       this.applicationInstanceInstance.destroy();
     }
@@ -0,0 +1,57 @@
+import { compileRoutes, matchRoute } from './utils/route-pattern.js';
+
+export const renderModes = ['ssr', 'routing', 'client', 'static'];
+
+/**
+ * @typedef RouteRule
+ * @property {string} [mode='ssr'] how the pages of the route are served:
+ *   - `ssr`: rendered by the app
+ *   - `routing`: the app only runs its routing, for the status code,
+ *     redirects and head of the page, without rendering it
+ *     (`shouldRender: false`)
+ *   - `client`: the `index.html` shell of the client build is served, without
+ *     booting a sandbox, e.g. for authenticated dashboards
+ *   - `static`: served only from files, e.g. prerendered pages, never by the app
+ * @property {Number} [timeout] ms a render may take before the client shell is served instead, overriding `renderTimeout`
+ * @property {boolean} [shoebox] whether the shoebox is written into the page, `disableShoebox: false` by default
+ * @property {Number} [cacheTtl] ms the pages are cached for, overriding their `Cache-Control`, 0 to never cache them
+ */
+/**
+ * The render policies of routes, by path pattern: the first matching pattern,
+ * in order, applies. See `compileRoutePattern` for the patterns.
+ *
+ * @example
+ * new RouteRules({
+ *   '/dashboard/*': { mode: 'client' },
+ *   '/search': { mode: 'ssr', timeout: 1000, shoebox: false, cacheTtl: 0 },
+ *   '/legal/*': { mode: 'static' },
+ *   '/*': { cacheTtl: 5 * 60 * 1000 },
+ * });
+ *
+ * @param {Object|Array<[string|RegExp, RouteRule]>} [routes]
+ */
+export default class RouteRules {
+  constructor(routes) {
+    const entries = Array.isArray(routes) ? routes : Object.entries(routes || {});
+    for (const [pattern, rule] of entries) {
+      if (!rule || typeof rule !== 'object') {
+        throw new Error(`The rule of route ${pattern} must be an object`);
+      }
+      if (rule.mode !== undefined && !renderModes.includes(rule.mode)) {
+        throw new Error(
+          `Unknown render mode '${rule.mode}' of route ${pattern}, expected one of: ${renderModes.join(', ')}`
+        );
+      }
+    }
+    this.routes = compileRoutes(entries);
+  }
+
+  /**
+   * @param {string} url the URL or path of the request, relative to the `rootURL` of the app
+   * @returns {RouteRule} the rule of the first matching route, with its `mode`, or the default rule
+   */
+  match(url) {
+    const rule = matchRoute(this.routes, url);
+    return { mode: 'ssr', ...rule };
+  }
+}
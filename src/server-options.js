@@ -0,0 +1,566 @@
+import fs from 'node:fs';
+import { dirname, extname, isAbsolute, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { errorPolicies } from './render-error-handler.js';
+import { shedPolicies } from './render-limiter.js';
+import RouteRules from './route-rules.js';
+import { logLevels } from './ui.js';
+
+export const configFileNames = [
+  'ssr-server.config.js',
+  'ssr-server.config.mjs',
+  'ssr-server.config.json',
+];
+
+/*
+ * The types of the options of `ViteEmberSsrServer`, in the order of
+ * `defaults()`. Options of the scalar and `json` types can be set from the
+ * command line, as kebab-cased flags, and from the environment; the others,
+ * e.g. functions, only from a config file.
+ */
+export const optionTypes = {
+  dev:                 'boolean',
+  mode:                'string',
+  root:                'path',
+  ssrEntry:            'string',
+  distPath:            'path',
+  clientPath:          'path',
+  ssrPath:             'path',
+  downloader:          'object',
+  host:                'string',
+  port:                'port',
+  tlsCert:             ['path', 'object'],
+  tlsKey:              ['path', 'object'],
+  tlsCa:               ['path', 'object'],
+  tlsPassphrase:       'string',
+  http2:               'boolean',
+  httpRedirectPort:    'port',
+  noGzip:              'boolean',
+  baseIndex:           'string',
+  username:            'string',
+  password:            'string',
+  ui:                  'object',
+  log:                 ['boolean', 'function'],
+  logLevel:            logLevels,
+  logFormat:           ['pretty', 'json'],
+  logSinks:            ['function', 'array'],
+  notifier:            'object',
+  cache:               'object',
+  cacheVary:           'json',
+  cacheKey:            'function',
+  purgePath:           'string',
+  purgeToken:          'string',
+  prerenderPath:       'path',
+  prerenderUrls:       ['json', 'string'],
+  prerenderCrawl:      'boolean',
+  prerenderConcurrency: 'number',
+  httpServer:          'object',
+  workerCount:         'number',
+  maxSandboxQueueSize: 'number',
+  chunkedResponse:     'boolean',
+  streamingResponse:   'boolean',
+  renderTimeout:       'number',
+  renderTimeoutRoutes: 'json',
+  routeRules:          'json',
+  visitOptions:        'json',
+  renderMethods:       'json',
+  bodyLimit:           ['number', 'string'],
+  maxConcurrentRenders: 'number',
+  maxQueuedRenders:    'number',
+  maxQueueWait:        'number',
+  shedPolicy:          shedPolicies,
+  retryAfter:          'number',
+  errorPolicy:         errorPolicies,
+  errorPage:           'string',
+  errorPath:           'string',
+  onRenderError:       ['function', 'array'],
+  noPreloadHeaders:    'boolean',
+  noEarlyHints:        'boolean',
+  noHealthChecks:      'boolean',
+  healthPaths:         'json',
+  metricsPort:         'port',
+  metricsHost:         'string',
+  metricsPath:         'string',
+  metricsInterval:     'number',
+  requestIdHeader:     'string',
+  shutdownTimeout:     'number',
+  startupTimeout:      'number',
+  restartDelay:        'number',
+  maxRestartDelay:     'number',
+  maxCrashes:          'number',
+  crashWindow:         'number',
+  beforeMiddleware:    'function',
+  afterMiddleware:     'function',
+  buildSandboxGlobals: 'function',
+  fetchOptions:        'json',
+  fetchShoebox:        ['boolean', 'json'],
+};
+
+const flagAliases = {
+  dist: 'distPath',
+  client: 'clientPath',
+  ssr: 'ssrPath',
+  workers: 'workerCount',
+  p: 'port',
+  out: 'prerenderPath',
+  urls: 'prerenderUrls',
+  crawl: 'prerenderCrawl',
+  concurrency: 'prerenderConcurrency',
+};
+
+const cliTypes = ['boolean', 'number', 'port', 'string', 'path', 'json'];
+
+function typesOf(key) {
+  const type = optionTypes[key];
+  // an array of strings other than types is an enum
+  if (Array.isArray(type) && !type.every(t => t in typeCheckers)) {
+    return ['enum'];
+  }
+  return [].concat(type);
+}
+
+/*
+ * The type a string from the command line or the environment is parsed as,
+ * or undefined if the option can only be set from a config file.
+ */
+function cliTypeOf(key) {
+  return typesOf(key).find(type => cliTypes.includes(type) || type === 'enum');
+}
+
+const typeCheckers = {
+  boolean: value => typeof value === 'boolean',
+  number: value => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+  port: value => Number.isInteger(value) && value >= 0 && value < 65536,
+  string: value => typeof value === 'string',
+  path: value => typeof value === 'string',
+  json: value => typeof value === 'object',
+  object: value => typeof value === 'object',
+  array: value => Array.isArray(value),
+  function: value => typeof value === 'function',
+};
+
+export const typeNames = {
+  boolean: 'a boolean',
+  number: 'a non-negative number',
+  port: 'a port number',
+  string: 'a string',
+  path: 'a path',
+  json: 'JSON',
+  object: 'an object',
+  array: 'an array',
+  function: 'a function',
+};
+
+export function toFlag(key) {
+  return key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+function fromFlag(flag) {
+  return flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function configError(message) {
+  const error = new Error(message);
+  error.name = 'ConfigError';
+  return error;
+}
+
+/**
+ * Parses a string from the command line or the environment into the type of
+ * an option.
+ *
+ * @param {string} key option name
+ * @param {string} value
+ * @param {string} [source] where the value was set, named by the error, the flag of the option by default
+ * @returns {*}
+ */
+export function parseOptionValue(key, value, source = `--${toFlag(key)}`) {
+  const types = typesOf(key).filter(type => cliTypes.includes(type) || type === 'enum');
+  for (const type of types) {
+    const parsed = valueParsers[type](value);
+    if (parsed !== undefined) {
+      return parsed;
+    }
+  }
+  const expected = types[0] === 'enum'
+    ? `one of ${optionTypes[key].join(', ')}`
+    : types.map(type => typeNames[type]).join(' or ');
+  throw configError(`Expected ${source} to be ${expected}, got '${value}'`);
+}
+
+// parse a string, or return undefined if it isn't of the type
+const valueParsers = {
+  boolean(value) {
+    if (['true', '1', 'yes'].includes(value)) {
+      return true;
+    }
+    if (['false', '0', 'no'].includes(value)) {
+      return false;
+    }
+  },
+  number(value) {
+    return value.trim() === '' || isNaN(Number(value)) ? undefined : Number(value);
+  },
+  port(value) {
+    return valueParsers.number(value);
+  },
+  json(value) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return undefined;
+    }
+  },
+  string: value => value,
+  path: value => value,
+  enum: value => value,
+};
+
+/**
+ * Parses the arguments of the command line, e.g.
+ * `serve --dist ./dist --port 4200 --workers 4 --no-chunked-response`.
+ *
+ * @param {string[]} argv arguments, without the node executable and script
+ * @returns {{ command: string, options: Object, config: string|undefined, printConfig: Boolean, help: Boolean }}
+ */
+export function parseArgs(argv) {
+  const parsed = { command: 'serve', options: {}, config: undefined, printConfig: false, help: false };
+  const args = [...argv];
+
+  if (args.length && !args[0].startsWith('-')) {
+    parsed.command = args.shift();
+  }
+
+  while (args.length) {
+    const arg = args.shift();
+    const match = /^--?([^=]+)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      throw configError(`Unexpected argument '${arg}'`);
+    }
+    let [, flag, value] = match;
+
+    if (flag === 'help' || flag === 'h') {
+      parsed.help = true;
+      continue;
+    }
+    if (flag === 'print-config') {
+      parsed.printConfig = true;
+      continue;
+    }
+    if (flag === 'config' || flag === 'c') {
+      parsed.config = value ?? args.shift();
+      continue;
+    }
+
+    let key = flagAliases[flag] || fromFlag(flag);
+    let negated = false;
+    if (!(key in optionTypes) && flag.startsWith('no-') && fromFlag(flag.slice(3)) in optionTypes) {
+      key = fromFlag(flag.slice(3));
+      negated = true;
+    }
+
+    const type = key in optionTypes ? cliTypeOf(key) : undefined;
+    if (!type) {
+      throw configError(`Unknown option '${arg}'`);
+    }
+
+    if (type === 'boolean' && value === undefined) {
+      parsed.options[key] = !negated;
+      continue;
+    }
+    if (negated) {
+      throw configError(`Option '--${flag}' doesn't take a value`);
+    }
+
+    value ??= args.shift();
+    if (value === undefined) {
+      throw configError(`Option '${arg}' requires a value`);
+    }
+    parsed.options[key] = parseOptionValue(key, value);
+  }
+
+  return parsed;
+}
+
+/**
+ * Reads the options set in the environment variables of `envs`.
+ *
+ * @param {Object} envs option name => environment variable
+ * @param {Object} [env=process.env]
+ * @returns {Object}
+ */
+export function envOptions(envs, env = process.env) {
+  const options = {};
+  for (const [key, name] of Object.entries(envs)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      options[key] = parseOptionValue(key, env[name], name);
+    }
+  }
+  return options;
+}
+
+/**
+ * Finds the config file: the given path, or one of `configFileNames` in the
+ * working directory.
+ *
+ * @param {string} [path]
+ * @param {string} [cwd=process.cwd()]
+ * @returns {string|null} absolute path
+ */
+export function findConfigFile(path, cwd = process.cwd()) {
+  if (path) {
+    path = resolve(cwd, path);
+    if (!fs.existsSync(path)) {
+      throw configError(`Config file not found: ${path}`);
+    }
+    return path;
+  }
+  return configFileNames
+    .map(name => resolve(cwd, name))
+    .find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Loads the options of a config file. A JavaScript config file default
+ * exports the options, or a function of the mode returning (a promise of)
+ * them. Relative paths are resolved against the directory of the file.
+ *
+ * @param {string} path absolute path of the config file
+ * @param {string} [mode='production']
+ * @returns {Promise<Object>}
+ */
+export async function loadConfigFile(path, mode = 'production') {
+  let config;
+  if (extname(path) === '.json') {
+    try {
+      config = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (e) {
+      throw configError(`Invalid config file ${path}: ${e.message}`);
+    }
+  } else {
+    config = (await import(pathToFileURL(path).href)).default;
+    if (typeof config === 'function') {
+      config = await config(mode);
+    }
+  }
+
+  if (!config || typeof config !== 'object') {
+    throw configError(`Config file ${path} must export an object of options`);
+  }
+
+  config = { ...config };
+  for (const key of Object.keys(config)) {
+    if (!(key in optionTypes)) {
+      throw configError(`Unknown option '${key}' in config file ${path}`);
+    }
+    if (isPathOption(key, config[key])) {
+      config[key] = resolvePath(config[key], dirname(path));
+    }
+  }
+  return config;
+}
+
+// a path, as opposed to e.g. the PEM contents of a TLS certificate
+function isPathOption(key, value) {
+  return typesOf(key).includes('path') && typeof value === 'string' && !value.includes('-----BEGIN');
+}
+
+function resolvePath(path, base) {
+  return isAbsolute(path) ? path : resolve(base, path);
+}
+
+/**
+ * Merges the options of each source, by precedence:
+ *
+ * 1. command line flags
+ * 2. environment variables
+ * 3. the config file
+ * 4. the defaults
+ *
+ * Relative paths of flags and environment variables are resolved against the
+ * working directory.
+ *
+ * @param {Object} sources
+ * @param {Object} sources.defaults
+ * @param {Object} [sources.file]
+ * @param {Object} [sources.env]
+ * @param {Object} [sources.flags]
+ * @param {string} [cwd=process.cwd()]
+ * @returns {{ options: Object, sources: Object }} the merged options, and the source of each
+ */
+export function mergeOptions({ defaults, file = {}, env = {}, flags = {} }, cwd = process.cwd()) {
+  const options = {};
+  const sources = {};
+
+  for (const key of Object.keys(defaults)) {
+    for (const [source, values] of [['flag', flags], ['env', env], ['file', file], ['default', defaults]]) {
+      let value = values[key];
+      if (value === undefined || value === null) {
+        continue;
+      }
+      if (isPathOption(key, value) && source !== 'file') {
+        value = resolvePath(value, cwd);
+      }
+      options[key] = value;
+      sources[key] = source;
+      break;
+    }
+    if (!(key in options)) {
+      options[key] = null;
+      sources[key] = 'default';
+    }
+  }
+
+  return { options, sources };
+}
+
+// The name of an option in the problems, after where its value was set
+function sourceName(key, { sources = {}, envs = {}, configFile } = {}) {
+  switch (sources[key]) {
+    case 'flag':
+      return `--${toFlag(key)}`;
+    case 'env':
+      return envs[key] || `'${key}'`;
+    case 'file':
+      return configFile ? `'${key}' of ${configFile}` : `'${key}' of the config file`;
+    default:
+      return `'${key}'`;
+  }
+}
+
+/**
+ * Checks the types of the options, and that they describe a runnable server.
+ *
+ * @param {Object} options
+ * @param {Object} [origin] where the options were set, naming them in the problems
+ * @param {Object} [origin.sources] the source of each option, see `mergeOptions`
+ * @param {Object} [origin.envs] option name => environment variable
+ * @param {string} [origin.configFile] the path of the config file
+ * @throws {Error} a `ConfigError` listing the problems
+ */
+export function validateOptions(options, origin) {
+  const problems = [];
+
+  for (const [key, value] of Object.entries(options)) {
+    if (!(key in optionTypes)) {
+      problems.push(`unknown option '${key}'`);
+      continue;
+    }
+    if (value === null || value === undefined) {
+      continue;
+    }
+    const types = typesOf(key);
+    const valid = types[0] === 'enum'
+      ? optionTypes[key].includes(value)
+      : types.some(type => typeCheckers[type](value));
+    if (!valid) {
+      const expected = types[0] === 'enum'
+        ? `one of ${optionTypes[key].join(', ')}`
+        : types.map(type => typeNames[type]).join(' or ');
+      problems.push(`${sourceName(key, origin)} must be ${expected}, got ${JSON.stringify(value) ?? typeof value}`);
+    }
+  }
+
+  const hasPaths = options.distPath || (options.clientPath && options.ssrPath);
+  if (options.dev) {
+    if (!options.ssrEntry) {
+      problems.push(`'ssrEntry' is required in development mode`);
+    }
+  } else if (!hasPaths && !options.downloader) {
+    problems.push(`one of 'distPath', 'clientPath' and 'ssrPath', or 'downloader' is required`);
+  } else if ((options.distPath || options.clientPath || options.ssrPath) && options.downloader) {
+    problems.push(`'distPath', 'clientPath' and 'ssrPath' can't be combined with 'downloader'`);
+  }
+
+  if (Boolean(options.tlsCert) !== Boolean(options.tlsKey)) {
+    problems.push(`'tlsCert' and 'tlsKey' must be set together`);
+  }
+  if (options.http2 && !options.tlsCert) {
+    problems.push(`'http2' requires 'tlsCert' and 'tlsKey'`);
+  }
+  if (options.httpRedirectPort && !options.tlsCert) {
+    problems.push(`'httpRedirectPort' requires 'tlsCert' and 'tlsKey'`);
+  }
+  if (options.purgeToken && !options.cache) {
+    problems.push(`'purgeToken' requires 'cache'`);
+  }
+  if (options.renderMethods && (!Array.isArray(options.renderMethods)
+    || !options.renderMethods.every(method => typeof method === 'string'))) {
+    problems.push(`'renderMethods' must be an array of HTTP methods, e.g. ["POST"]`);
+  }
+  if (options.routeRules && typeof options.routeRules === 'object') {
+    try {
+      new RouteRules(options.routeRules);
+    } catch (e) {
+      problems.push(`'routeRules': ${e.message}`);
+    }
+  }
+
+  if (problems.length) {
+    throw configError(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+function formatValue(key, value) {
+  const secret = key === 'password' || key === 'tlsPassphrase' || key === 'purgeToken'
+    || (key === 'tlsKey' && !isPathOption(key, value));
+  if (secret && value) {
+    return '********';
+  }
+  if (typeof value === 'function') {
+    return `[Function${value.name ? ` ${value.name}` : ''}]`;
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value) && value.constructor !== Object) {
+    return `[${value.constructor.name}]`;
+  }
+  return JSON.stringify(value, (k, v) => typeof v === 'function' ? '[Function]' : v);
+}
+
+/**
+ * Formats the merged options and their sources, e.g. for `--print-config`.
+ *
+ * @param {Object} options
+ * @param {Object} sources
+ * @returns {string}
+ */
+export function formatOptions(options, sources) {
+  const width = Math.max(...Object.keys(options).map(key => key.length));
+  return Object.entries(options)
+    .map(([key, value]) => `${key.padEnd(width)}  ${formatValue(key, value)}  (${sources[key]})`)
+    .join('\n');
+}
+
+/**
+ * Describes the options that can be set from the command line and the
+ * environment, for `--help`.
+ *
+ * @param {Object} envs option name => environment variable
+ * @returns {string}
+ */
+export function describeOptions(envs) {
+  const aliases = {};
+  for (const [alias, key] of Object.entries(flagAliases)) {
+    (aliases[key] ||= []).push(alias.length === 1 ? `-${alias}` : `--${alias}`);
+  }
+
+  const lines = Object.keys(optionTypes)
+    .filter(key => cliTypeOf(key))
+    .map(key => {
+      const types = typesOf(key);
+      const valueTypes = types[0] === 'enum'
+        ? [optionTypes[key].join('|')]
+        : types.filter(t => cliTypes.includes(t) && t !== 'boolean');
+      let value = valueTypes.length ? ` <${valueTypes.join('|')}>` : '';
+      if (value && types.includes('boolean')) {
+        value = `[=${value.trim()}]`;
+      }
+      const flags = [`--${toFlag(key)}`, ...(aliases[key] || [])].join(', ') + value;
+      return [flags, envs[key] || ''];
+    });
+
+  const width = Math.max(...lines.map(([flags]) => flags.length));
+  return lines
+    .map(([flags, env]) => `  ${flags.padEnd(width)}  ${env}`.trimEnd())
+    .join('\n');
+}
@@ -0,0 +1,177 @@
+import debug from './debug.js';
+
+const DEFAULT_FORWARD_HEADERS = [
+  'accept-language',
+  'authorization',
+  'user-agent',
+];
+
+/*
+ * The `fetch` provided to a sandbox, bound to the `SsrInfo` of the request the
+ * sandbox is rendering.
+ *
+ * Relative URLs are resolved against the origin of the incoming request. For
+ * first-party URLs (the request origin, or any origin listed in
+ * `originRewrites`), the allowlisted headers and cookies of the incoming
+ * request are forwarded, and rewritten origins are replaced by their internal
+ * base URL. Every request is aborted after `timeout` ms, or when the app
+ * instance is destroyed.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.origin] the origin to resolve relative URLs against; defaults to the request's protocol and host, checked against the `hostWhitelist` if any, the `Host` header being otherwise trusted
+ * @param {string[]} [options.forwardHeaders] names of request headers to forward to first-party URLs
+ * @param {Boolean|string[]} [options.forwardCookies=true] whether to forward the request cookies to first-party URLs, or the names of the cookies to forward
+ * @param {Object} [options.originRewrites] map of public origins to the internal base URLs to fetch them from
+ * @param {Number} [options.timeout=10000] ms after which a request is aborted
+ * @param {Function} [options.fetch] the underlying `fetch` implementation
+ */
+export default class SsrFetch {
+  constructor(options = {}) {
+    this.origin = options.origin;
+    this.forwardHeaders = (options.forwardHeaders || DEFAULT_FORWARD_HEADERS)
+      .map(header => header.toLowerCase());
+    this.forwardCookies = options.forwardCookies ?? true;
+    this.originRewrites = {};
+    for (const [origin, baseUrl] of Object.entries(options.originRewrites || {})) {
+      this.originRewrites[new URL(origin).origin] = baseUrl;
+    }
+    this.timeout = options.timeout ?? 10000;
+    this._fetch = options.fetch || globalThis.fetch;
+
+    this.info = null;
+    this.shoebox = null;
+    this.controller = new AbortController();
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Binds the fetch to the info of the request being rendered.
+   *
+   * @param {SsrInfo} info
+   * @param {FetchShoebox} [shoebox] records the responses to write into the shoebox
+   */
+  bind(info, shoebox = null) {
+    this.info = info;
+    this.shoebox = shoebox;
+  }
+
+  /**
+   * Aborts all pending and future requests.
+   */
+  abort() {
+    if (!this.controller.signal.aborted) {
+      this.controller.abort(new Error('The app instance was destroyed'));
+    }
+  }
+
+  async fetch(input, init = {}) {
+    let request = new Request(this.resolveURL(input), isRequest(input) ? {
+      method: input.method,
+      headers: input.headers,
+      body: input.body,
+      signal: input.signal,
+      duplex: 'half',
+      ...init,
+    } : init);
+    let url = new URL(request.url);
+    let isFirstParty = url.origin === this.requestOrigin()
+      || url.origin in this.originRewrites;
+
+    let headers = new Headers(request.headers);
+    if (isFirstParty) {
+      this.forwardRequestHeaders(headers);
+    }
+
+    let rewrite = this.originRewrites[url.origin];
+    if (rewrite) {
+      url = new URL(url.pathname.replace(/^\//, '') + url.search, rewrite.replace(/\/?$/, '/'));
+    }
+
+    debug('sandbox fetch; method=%s; url=%s', request.method, url.href);
+
+    let signals = [this.controller.signal, request.signal];
+    if (this.timeout > 0) {
+      signals.push(AbortSignal.timeout(this.timeout));
+    }
+
+    let response = await this._fetch(url.href, {
+      method: request.method,
+      headers,
+      body: request.body,
+      duplex: 'half',
+      redirect: request.redirect,
+      signal: AbortSignal.any(signals),
+    });
+
+    // Recorded under the URL requested by the app, which the browser requests too
+    this.shoebox?.capture(request.method, request.url, response,
+      headers.has('cookie') || headers.has('authorization'));
+
+    return response;
+  }
+
+  resolveURL(input) {
+    let url = isRequest(input) ? input.url : String(input);
+    let base = this.requestOrigin();
+
+    if (!base && !URL.canParse(url)) {
+      throw new TypeError(`Unable to resolve relative URL without a request origin: ${url}`);
+    }
+
+    return new URL(url, base || undefined).href;
+  }
+
+  requestOrigin() {
+    if (this.origin) {
+      return new URL(this.origin).origin;
+    }
+
+    let request = this.info?.request;
+    if (!request) {
+      return null;
+    }
+
+    // without a whitelist, the host the request arrived on, as sent by the
+    // client
+    let host = request.hostWhitelist ? request.host() : request.headers.get('host');
+    let origin = `${request.protocol}//${host}`;
+    return host && URL.canParse(origin) ? new URL(origin).origin : null;
+  }
+
+  forwardRequestHeaders(headers) {
+    let request = this.info?.request;
+    if (!request) {
+      return;
+    }
+
+    for (const name of this.forwardHeaders) {
+      let value = request.headers.get(name);
+      if (value !== null && !headers.has(name)) {
+        headers.set(name, value);
+      }
+    }
+
+    let cookies = this.forwardedCookies(request.headers.get('cookie'));
+    if (cookies && !headers.has('cookie')) {
+      headers.set('cookie', cookies);
+    }
+  }
+
+  forwardedCookies(cookieHeader) {
+    if (!this.forwardCookies || !cookieHeader) {
+      return null;
+    }
+    if (!Array.isArray(this.forwardCookies)) {
+      return cookieHeader;
+    }
+
+    // Filter the raw pairs, so values are forwarded exactly as received
+    return cookieHeader.split(/;\s*/)
+      .filter(pair => this.forwardCookies.includes(pair.split('=')[0].trim()))
+      .join('; ') || null;
+  }
+}
+
+function isRequest(input) {
+  return typeof input === 'object' && input !== null && 'url' in input;
+}
@@ -1,92 +1,176 @@
-// Partially implements Headers from the Fetch API
+// Implements Headers from the Fetch API, for the headers of the request and
+// the response exposed to the app, so code shared with the browser can use them
 // https://developer.mozilla.org/en-US/docs/Web/API/Headers
-export default class SsrHeaders {
-  constructor(headers) {
-    headers = headers || {};
-    this.headers = {};
-
-    for (let header in headers) {
-      let value = headers[header];
-
-      // Express gives us either a string
-      // or an array of strings if there are multiple values.
-      // We want to support the Header spec
-      // so we will coerce to an array always.
-      if (typeof value === 'string') {
-        value = [value];
-      }
+// https://fetch.spec.whatwg.org/#headers-class
 
-      this.headers[header.toLowerCase()] = value;
-    }
-  }
+// https://httpwg.org/specs/rfc9110.html#fields.names
+const NAME_REGEX = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
 
-  append(header, value) {
-    let _header = header.toLowerCase();
+// leading and trailing tabs, spaces and line breaks are stripped from values
+const WHITESPACE_REGEX = /^[\t\n\r ]+|[\t\n\r ]+$/g;
 
-    if (!this.has(_header)) {
-      this.headers[_header] = [];
-    }
+// line breaks and NUL can't be part of a value
+const INVALID_VALUE_REGEX = /[\0\r\n]/;
 
-    this.headers[_header].push(value);
+function normalizeName(name) {
+  name = String(name);
+  if (!NAME_REGEX.test(name)) {
+    throw new TypeError(`Invalid header name: "${name}"`);
   }
+  return name.toLowerCase();
+}
 
-  delete(header) {
-    delete this.headers[header.toLowerCase()];
+function normalizeValue(value) {
+  value = String(value).replace(WHITESPACE_REGEX, '');
+  if (INVALID_VALUE_REGEX.test(value)) {
+    throw new TypeError(`Invalid header value: "${value}"`);
   }
+  return value;
+}
 
-  entries() {
-    let entries = [];
+export default class SsrHeaders {
+  /**
+   * @param {Object|Headers|SsrHeaders|Iterable<[string, string]>} [init] the headers
+   *   by name, e.g. of a Node request, whose values are either a string or an
+   *   array of strings if there are multiple values, or `[name, value]` pairs,
+   *   e.g. another `Headers`
+   */
+  constructor(init) {
+    // the values by lowercase name, in the order they were appended
+    this.headers = Object.create(null);
+
+    if (init === undefined || init === null) {
+      return;
+    }
+    if (typeof init !== 'object') {
+      throw new TypeError('The headers must be an object or an iterable of [name, value] pairs');
+    }
 
-    for (let key in this.headers) {
-      let values = this.headers[key];
-      for (let index = 0; index < values.length; ++index) {
-        entries.push([key, values[index]]);
+    if (typeof init[Symbol.iterator] === 'function') {
+      for (const pair of init) {
+        if (!pair || typeof pair === 'string' || typeof pair[Symbol.iterator] !== 'function') {
+          throw new TypeError('Each header must be a [name, value] pair');
+        }
+        const [name, value, ...rest] = pair;
+        if (value === undefined || rest.length) {
+          throw new TypeError('Each header must be a [name, value] pair');
+        }
+        this.append(name, value);
       }
+      return;
     }
 
-    return entries[Symbol.iterator]();
+    for (const name of Object.keys(init)) {
+      const value = init[name];
+      // e.g. the `:path` pseudo-header of HTTP/2 requests
+      if (value === undefined || name.startsWith(':')) {
+        continue;
+      }
+      // Express gives us either a string or an array of strings if there are
+      // multiple values, e.g. for `Set-Cookie`
+      for (const item of Array.isArray(value) ? value : [value]) {
+        this.append(name, item);
+      }
+    }
   }
 
-  get(header) {
-    return this.getAll(header)[0] || null;
+  append(name, value) {
+    const key = normalizeName(name);
+    (this.headers[key] ||= []).push(normalizeValue(value));
   }
 
-  getAll(header) {
-    return this.headers[header.toLowerCase()] || [];
+  delete(name) {
+    delete this.headers[normalizeName(name)];
   }
 
-  has(header) {
-    return this.headers[header.toLowerCase()] !== undefined;
+  /**
+   * The values of the header combined, like they would be in a single header,
+   * or null if it's not set.
+   *
+   * @param {string} name
+   * @returns {string|null}
+   */
+  get(name) {
+    const values = this.headers[normalizeName(name)];
+    return values ? values.join(', ') : null;
   }
 
-  keys() {
-    let entries = [];
+  /**
+   * The values of the header, as appended, e.g. the `Set-Cookie` headers of a
+   * response. Kept from FastBoot, `getSetCookie()` being the standard way to
+   * list the cookies.
+   *
+   * @param {string} name
+   * @returns {string[]}
+   */
+  getAll(name) {
+    return [...this.headers[normalizeName(name)] || []];
+  }
 
-    for (let key in this.headers) {
-      let values = this.headers[key];
-      for (let index = 0; index < values.length; ++index) {
-        entries.push(key);
+  /**
+   * The values of the `Set-Cookie` headers, which can't be combined into one.
+   *
+   * @returns {string[]}
+   */
+  getSetCookie() {
+    return this.getAll('set-cookie');
+  }
+
+  has(name) {
+    return normalizeName(name) in this.headers;
+  }
+
+  set(name, value) {
+    this.headers[normalizeName(name)] = [normalizeValue(value)];
+  }
+
+  /**
+   * Calls the callback with the `value`, `name` and headers of each entry, in
+   * the order of `entries()`.
+   *
+   * @param {Function} callback
+   * @param {*} [thisArg]
+   */
+  forEach(callback, thisArg) {
+    if (typeof callback !== 'function') {
+      throw new TypeError('The callback must be a function');
+    }
+    for (const [name, value] of this.entries()) {
+      callback.call(thisArg, value, name, this);
+    }
+  }
+
+  /*
+   * The `[name, value]` pairs, sorted by name, with the values combined
+   * except for `Set-Cookie`, which has one pair per value.
+   */
+  entries() {
+    const entries = [];
+
+    for (const name of Object.keys(this.headers).sort()) {
+      if (name === 'set-cookie') {
+        this.headers[name].forEach(value => entries.push([name, value]));
+      } else {
+        entries.push([name, this.get(name)]);
       }
     }
 
     return entries[Symbol.iterator]();
   }
 
-  set(header, value) {
-    header = header.toLowerCase();
-    this.headers[header] = [value];
+  keys() {
+    return Array.from(this.entries(), ([name]) => name)[Symbol.iterator]();
   }
 
   values() {
-    let entries = [];
+    return Array.from(this.entries(), ([, value]) => value)[Symbol.iterator]();
+  }
 
-    for (let key in this.headers) {
-      let values = this.headers[key];
-      for (let index = 0; index < values.length; ++index) {
-        entries.push(values[index]);
-      }
-    }
+  [Symbol.iterator]() {
+    return this.entries();
+  }
 
-    return entries[Symbol.iterator]();
+  get [Symbol.toStringTag]() {
+    return 'Headers';
   }
 }
@@ -1,6 +1,20 @@
 import SsrRequest from './ssr-request.js';
 import SsrResponse from './ssr-response.js';
 
+/*
+ * Aborted when the response is closed before it's complete, e.g. once the
+ * client has gone away.
+ */
+function closeSignal(response) {
+  const controller = new AbortController();
+  response?.once?.('close', () => {
+    if (!response.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
 /*
  * A class that encapsulates information about the
  * current HTTP request from FastBoot. This is injected
@@ -11,24 +25,42 @@ import SsrResponse from './ssr-response.js';
  * @param {Object} additional options passed to fastboot info
  * @param {Array} [options.hostWhitelist] expected hosts in your application
  * @param {Object} [options.metaData] per request meta data
+ * @param {string} [options.requestId] the ID of the request, also tagging its logs
  */
 export default class SsrInfo {
   constructor(request, response, options) {
     this.deferredPromise = Promise.resolve();
-    let { hostWhitelist, metadata } = options;
+    let { hostWhitelist, metadata, requestId } = options;
 
     if (request) {
-      this.request = new SsrRequest(request, hostWhitelist);
+      this.request = new SsrRequest(request, hostWhitelist, closeSignal(response));
     }
 
     this.response = new SsrResponse(response || {});
     this.metadata = metadata;
+    this.requestId = requestId;
   }
 
   deferRendering(promise) {
     this.deferredPromise = Promise.all([this.deferredPromise, promise]);
   }
 
+  /*
+   * Tags the response with surrogate keys, e.g. the IDs of the records it
+   * renders, in its `Surrogate-Key` header. Cached responses are purged by
+   * these keys, e.g. when a record changes.
+   *
+   * @param {...string} keys
+   */
+  addSurrogateKeys(...keys) {
+    const surrogateKeys = new Set([...this.surrogateKeys, ...keys.flat().map(String)]);
+    this.response.headers.set('surrogate-key', [...surrogateKeys].join(' '));
+  }
+
+  get surrogateKeys() {
+    return (this.response.headers.get('surrogate-key') || '').split(/\s+/).filter(Boolean);
+  }
+
   /*
    * Registers this FastBootInfo instance in the registry of an Ember
    * ApplicationInstance. It is configured to be injected into the FastBoot
@@ -2,8 +2,20 @@ import cookie from 'cookie';
 import FastBootHeaders from './ssr-headers.js';
 import { deserializeRegExp, matchesSerializedRegExp } from './regexp.js';
 
+/*
+ * The request being rendered, exposed to the app. Follows Request from the
+ * Fetch API for its `url`, `method`, `headers` and `signal`, along with the
+ * `path`, `queryParams`, `cookies` and `host()` of FastBoot. The `body` is the
+ * one parsed by the server, e.g. the fields of a form, if any.
+ *
+ * https://developer.mozilla.org/en-US/docs/Web/API/Request
+ *
+ * @param {ClientRequest} request
+ * @param {Array} [hostWhitelist] expected hosts, see `host()`
+ * @param {AbortSignal} [signal] aborted once the client has gone away
+ */
 export default class SsrRequest {
-  constructor(request, hostWhitelist) {
+  constructor(request, hostWhitelist, signal) {
     this.hostWhitelist = hostWhitelist;
 
     this.protocol = `${request.protocol}:`;
@@ -12,10 +24,23 @@ export default class SsrRequest {
     this.path = request.url;
     this.method = request.method;
     this.body = request.body;
+    this.signal = signal || new AbortController().signal;
 
     this.cookies = this.extractCookies(request);
   }
 
+  /*
+   * The absolute URL of the request. Its host is the `Host` header as sent by
+   * the client: `host()` checks it against the `hostWhitelist`.
+   */
+  get url() {
+    try {
+      return new URL(`${this.protocol}//${this.headers.get('host')}${this.path}`).href;
+    } catch (e) {
+      return new URL(`${this.protocol}//localhost${this.path}`).href;
+    }
+  }
+
   host() {
     if (!this.hostWhitelist) {
       throw new Error('You must provide a hostWhitelist to retrieve the host');
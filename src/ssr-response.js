@@ -1,5 +1,17 @@
+import http from 'node:http';
 import FastBootHeaders from './ssr-headers.js';
 
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/*
+ * The response of the request being rendered, set by the app. Follows
+ * Response from the Fetch API for its `status`, `statusText`, `ok` and
+ * `headers`, along with the `statusCode` of FastBoot.
+ *
+ * https://developer.mozilla.org/en-US/docs/Web/API/Response
+ *
+ * @param {ServerResponse} response the headers already set on it, e.g. the request ID, are included
+ */
 export default class SsrResponse {
   constructor(response) {
     this.headers = new FastBootHeaders(
@@ -7,4 +19,38 @@ export default class SsrResponse {
     );
     this.statusCode = 200;
   }
+
+  get status() {
+    return this.statusCode;
+  }
+
+  set status(status) {
+    this.statusCode = status;
+  }
+
+  // the reason phrase of the status code, e.g. `Not Found`
+  get statusText() {
+    return http.STATUS_CODES[this.statusCode] || '';
+  }
+
+  get ok() {
+    return this.statusCode >= 200 && this.statusCode <= 299;
+  }
+
+  /**
+   * Redirects to the URL, like `Response.redirect()`.
+   *
+   * @example
+   * this.fastboot.response.redirect('/login', 303);
+   *
+   * @param {string|URL} url
+   * @param {Number} [status=302] one of 301, 302, 303, 307 or 308
+   */
+  redirect(url, status = 302) {
+    if (!REDIRECT_STATUSES.includes(status)) {
+      throw new RangeError(`Invalid redirect status ${status}, expected one of: ${REDIRECT_STATUSES.join(', ')}`);
+    }
+    this.headers.set('location', String(url));
+    this.statusCode = status;
+  }
 }
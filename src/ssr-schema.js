@@ -12,28 +12,13 @@ const require = Module.createRequire(import.meta.url);
 
 /**
  * Given the path to a built Ember app, loads our complete configuration
+ *
+ * @param {SsrPaths} ssrPaths
+ * @param {Object} [pkg] the `name` and `ssrServer` config of the app, e.g. read from its sources in development mode, instead of the `package.json` of the SSR build
  */
-export function loadConfig(ssrPaths) {
+export function loadConfig(ssrPaths, pkg) {
   const { clientPath, ssrPath } = ssrPaths;
-  let pkgPath = path.join(ssrPath, 'package.json');
-  let file;
-
-  try {
-    file = fs.readFileSync(pkgPath);
-  } catch (e) {
-    throw new Error(
-      `Couldn't find ${pkgPath}. You may need to update your version of vite-ember-ssr-server.`
-    );
-  }
-
-  let pkg;
-  try {
-    pkg = JSON.parse(file);
-  } catch (e) {
-    throw new Error(
-      `${pkgPath} was malformed or did not contain a ssrServer config. Ensure that you have a compatible version of vite-ember-ssr-server.`
-    );
-  }
+  pkg ||= readPackage(ssrPath);
 
   let config, html;
   const appName = pkg.name;
@@ -60,9 +45,34 @@ export function loadConfig(ssrPaths) {
     config,
     appName,
     sandboxRequire,
+    version: pkg.ssrServer.version ?? pkg.version ?? null,
   };
 }
 
+function readPackage(ssrPath) {
+  let pkgPath = path.join(ssrPath, 'package.json');
+  let file;
+
+  try {
+    file = fs.readFileSync(pkgPath);
+  } catch (e) {
+    throw new Error(
+      `Couldn't find ${pkgPath}. You may need to update your version of vite-ember-ssr-server.`
+    );
+  }
+
+  let pkg;
+  try {
+    pkg = JSON.parse(file);
+  } catch (e) {
+    throw new Error(
+      `${pkgPath} was malformed or did not contain a ssrServer config. Ensure that you have a compatible version of vite-ember-ssr-server.`
+    );
+  }
+
+  return pkg;
+}
+
 /**
  * The Ember app runs inside a sandbox that doesn't have access to the normal
  * Node.js environment, including the `require` function. Instead, we provide
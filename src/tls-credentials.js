@@ -0,0 +1,94 @@
+import fs from 'node:fs';
+
+const KEYS = ['cert', 'key', 'ca'];
+
+// PEM contents, as opposed to the path of a PEM file
+function isPem(value) {
+  return typeof value === 'string' && value.includes('-----BEGIN');
+}
+
+/**
+ * The certificate and key of a TLS server, given as PEM buffers or strings,
+ * or as paths of PEM files, which are reloaded when they change, e.g. when a
+ * certificate is renewed.
+ *
+ * @param {Object} options
+ * @param {string|Buffer} options.cert certificate chain
+ * @param {string|Buffer} options.key private key
+ * @param {string|Buffer} [options.ca] certificate authorities to trust, other than the defaults
+ * @param {string} [options.passphrase] passphrase of the private key
+ * @param {Number} [options.interval=5000] ms between checks of the files for changes
+ */
+export default class TlsCredentials {
+  constructor(options) {
+    this.options = options;
+    this.interval = options.interval ?? 5000;
+    this.watched = [];
+  }
+
+  get paths() {
+    return KEYS
+      .map(key => this.options[key])
+      .filter(value => typeof value === 'string' && !isPem(value));
+  }
+
+  /**
+   * Reads the credentials, in the form of the options of
+   * `tls.createSecureContext`.
+   *
+   * @returns {{ cert: Buffer|string, key: Buffer|string, ca?: Buffer|string, passphrase?: string }}
+   */
+  load() {
+    const credentials = {};
+    for (const key of KEYS) {
+      const value = this.options[key];
+      if (value === undefined || value === null) {
+        continue;
+      }
+      credentials[key] = typeof value === 'string' && !isPem(value)
+        ? fs.readFileSync(value)
+        : value;
+    }
+    if (this.options.passphrase) {
+      credentials.passphrase = this.options.passphrase;
+    }
+    return credentials;
+  }
+
+  /**
+   * Calls back with the reloaded credentials whenever one of their files
+   * changes. Changes of several files in a row, e.g. of the certificate then
+   * of the key, are reported once.
+   *
+   * @param {Function} onChange `(credentials) => void`
+   * @param {Function} onError `(error) => void` e.g. a file is missing or being written
+   */
+  watch(onChange, onError) {
+    let timer;
+    const changed = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) {
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        try {
+          onChange(this.load());
+        } catch (e) {
+          onError(e);
+        }
+      }, 100);
+    };
+
+    for (const path of this.paths) {
+      fs.watchFile(path, { interval: this.interval, persistent: false }, changed);
+      this.watched.push([path, changed]);
+    }
+  }
+
+  close() {
+    for (const [path, changed] of this.watched) {
+      fs.unwatchFile(path, changed);
+    }
+    this.watched = [];
+  }
+}
@@ -1,53 +1,160 @@
 import cluster from 'node:cluster';
+import { format, inspect } from 'node:util';
 import chalk from 'chalk';
 
+export const logLevels = ['debug', 'info', 'warn', 'error'];
+
+const levelColors = {
+  debug: 'gray',
+  info: 'blue',
+  warn: 'yellow',
+  error: 'red',
+};
+
+function serializeField(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+/**
+ * Writes entries as JSON lines, e.g. for log aggregators.
+ *
+ * @param {LogEntry} entry
+ */
+export function jsonSink(entry) {
+  process.stdout.write(JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Writes entries as colored lines for humans, followed by their fields as
+ * `key=value` pairs.
+ *
+ * @param {LogEntry} entry
+ */
+export function prettySink(entry) {
+  const { time, level, pid, msg, ...fields } = entry;
+  const color = levelColors[level];
+
+  let line = chalk[`bg${color[0].toUpperCase()}${color.slice(1)}`].white(`[${time}]`)
+    + chalk[color](`[${pid}]`) + ' '
+    + (level === 'error' ? chalk.red(msg) : msg);
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) {
+      continue;
+    }
+    const text = typeof value === 'string' ? value : inspect(value, { breakLength: Infinity });
+    line += chalk.gray(` ${key}=`) + text;
+  }
+
+  console.log(line);
+}
+
+/**
+ * @typedef LogEntry
+ * @property {string} time ISO timestamp
+ * @property {string} level one of `debug`, `info`, `warn` or `error`
+ * @property {string} pid `m` (primary) or `w` (worker) followed by the process id
+ * @property {string} msg
+ * @property {string} [requestId] the ID of the request the entry is about
+ */
+/**
+ * The logger shared by the server, the workers, the middleware and the
+ * sandboxes.
+ *
+ * Entries have a level, a message and fields, e.g. the `requestId`, and are
+ * written to each sink: a function called with the {@link LogEntry}. By
+ * default, entries are written to the console as colored lines, or as JSON
+ * lines with the `json` format.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.level='info'] the minimum level of the entries written
+ * @param {string} [options.format='pretty'] `pretty` or `json`, the format of the default sink
+ * @param {Function[]} [options.sinks] `(entry) => void` functions replacing the default sink
+ * @param {Object} [options.fields] fields added to every entry
+ */
 export default class Ui {
-  constructor() {
+  constructor(options = {}) {
     let type = cluster.isMaster ? 'm' : 'w';
     this.pid = `${type}${process.pid}`;
-  }
+    this.level = options.level || 'info';
+    this.format = options.format || 'pretty';
+    this.fields = options.fields || {};
+    this.sinks = [].concat(options.sinks || (this.format === 'json' ? jsonSink : prettySink));
 
-  writeLine() {
-    let args = Array.prototype.slice.apply(arguments);
-    args.unshift('blue');
+    if (!logLevels.includes(this.level)) {
+      throw new Error(`Unknown log level '${this.level}', expected one of: ${logLevels.join(', ')}`);
+    }
+  }
 
-    this._write.apply(this, args);
+  /**
+   * Creates a logger adding the given fields to every entry, writing to the
+   * same sinks.
+   *
+   * @param {Object} fields
+   * @returns {Ui}
+   */
+  child(fields) {
+    return new Ui({
+      level: this.level,
+      format: this.format,
+      sinks: this.sinks,
+      fields: { ...this.fields, ...fields },
+    });
   }
 
-  writeError(message) {
-    console.log(this._errorPrefix() + chalk.red(message));
+  isEnabled(level) {
+    return logLevels.indexOf(level) >= logLevels.indexOf(this.level);
   }
 
-  _write() {
-    let args = Array.prototype.slice.apply(arguments);
-    let color = args.shift();
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
 
-    if (args[0] !== null || args[0] !== undefined) {
-      args[0] = this._prefix(color) + args[0];
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      pid: this.pid,
+      msg: String(message),
+    };
+    for (const [key, value] of Object.entries({ ...this.fields, ...fields })) {
+      if (value !== undefined && value !== null) {
+        entry[key] = serializeField(value);
+      }
     }
 
-    console.log.apply(console, args);
+    for (const sink of this.sinks) {
+      sink(entry);
+    }
   }
 
-  _prefix() {
-    let timestamp = chalk.bgBlue.white(this._timestamp());
-    let pid = chalk.blue(this._pid());
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
 
-    return `${timestamp}${pid} `;
+  info(message, fields) {
+    this.log('info', message, fields);
   }
 
-  _errorPrefix() {
-    let timestamp = chalk.bgRed.white(this._timestamp());
-    let pid = chalk.red(this._pid());
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
 
-    return `${timestamp}${pid} `;
+  error(message, fields) {
+    this.log('error', message, fields);
   }
 
-  _timestamp() {
-    return `[${(new Date()).toISOString()}]`;
+  /**
+   * Logs an `info` entry, formatting the arguments like `console.log`.
+   */
+  writeLine(...args) {
+    this.info(format(...args));
   }
 
-  _pid() {
-    return this.pid ? `[${this.pid}]` : '';
+  writeError(message) {
+    this.error(message);
   }
 }
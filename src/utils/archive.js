@@ -0,0 +1,222 @@
+import fs from 'node:fs';
+import { dirname, resolve, sep } from 'node:path';
+import zlib from 'node:zlib';
+
+/*
+ * Unpacks build archives, `.tar.gz`/`.tgz`, `.tar` and `.zip`, without
+ * depending on external tools. Only regular files and directories are
+ * extracted: links and devices are skipped, and entries resolving outside of
+ * the destination are rejected.
+ */
+
+function archiveError(message) {
+  const error = new Error(message);
+  error.name = 'ArchiveError';
+  return error;
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string|null} `tar.gz`, `zip`, `tar` or null when unknown
+ */
+export function archiveType(buffer) {
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return 'tar.gz';
+  }
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    return 'zip';
+  }
+  if (buffer.length >= 512 && buffer.toString('latin1', 257, 262) === 'ustar') {
+    return 'tar';
+  }
+  return null;
+}
+
+// Path of an entry in `dest`, dropping the first `strip` path components
+function entryPath(dest, name, strip) {
+  const parts = name.split(/[\\/]+/).filter(part => part && part !== '.');
+  if (parts.length <= strip) {
+    return null;
+  }
+  const path = resolve(dest, ...parts.slice(strip));
+  if (!path.startsWith(dest + sep)) {
+    throw archiveError(`Archive entry '${name}' is outside of the destination`);
+  }
+  return path;
+}
+
+function writeEntry(path, data) {
+  fs.mkdirSync(dirname(path), { recursive: true });
+  fs.writeFileSync(path, data);
+}
+
+function readString(buffer, start, length) {
+  const end = buffer.indexOf(0, start);
+  return buffer.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+function readOctal(buffer, start, length) {
+  return parseInt(readString(buffer, start, length).trim() || '0', 8);
+}
+
+function parsePax(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('utf8', offset, space), 10);
+    if (!length) {
+      break;
+    }
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+}
+
+function extractTar(buffer, dest, strip) {
+  let offset = 0;
+  let longName = null;
+
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    // The archive ends with empty blocks
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const prefix = header.toString('latin1', 257, 262) === 'ustar' ? readString(header, 345, 155) : '';
+    const name = longName ?? (prefix ? `${prefix}/` : '') + readString(header, 0, 100);
+    const data = buffer.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (data.length < size) {
+      throw archiveError('Unexpected end of the tar archive');
+    }
+
+    // The name of the next entry, when too long for its header
+    if (type === 'x' || type === 'L') {
+      longName = type === 'L' ? readString(data, 0, data.length) : parsePax(data).path ?? null;
+      continue;
+    }
+    longName = null;
+
+    if (type !== '0' && type !== '5' && type !== '7') {
+      continue;
+    }
+    const path = entryPath(dest, name, strip);
+    if (!path) {
+      continue;
+    }
+    if (type === '5') {
+      fs.mkdirSync(path, { recursive: true });
+    } else {
+      writeEntry(path, data);
+    }
+  }
+}
+
+// The offsets and sizes read from a zip archive may point past its end
+function checkZipBounds(buffer, start, length) {
+  if (start + length > buffer.length) {
+    throw archiveError('Unexpected end of the zip archive');
+  }
+}
+
+function extractZip(buffer, dest, strip) {
+  // The end of central directory record, followed by a comment of up to 64KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw archiveError('Invalid zip archive, the central directory is missing');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw archiveError('Zip64 archives are not supported');
+  }
+
+  for (let i = 0; i < count; i++) {
+    checkZipBounds(buffer, offset, 46);
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw archiveError('Invalid zip archive, bad central directory entry');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    checkZipBounds(buffer, offset + 46, nameLength);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const path = entryPath(dest, name, strip);
+    if (!path) {
+      continue;
+    }
+    if (name.endsWith('/')) {
+      fs.mkdirSync(path, { recursive: true });
+      continue;
+    }
+
+    checkZipBounds(buffer, localOffset, 30);
+    if (buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw archiveError(`Invalid zip archive, bad local header of entry '${name}'`);
+    }
+    const dataOffset = localOffset + 30
+      + buffer.readUInt16LE(localOffset + 26)
+      + buffer.readUInt16LE(localOffset + 28);
+    checkZipBounds(buffer, dataOffset, compressedSize);
+    const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+    if (method === 0) {
+      writeEntry(path, data);
+    } else if (method === 8) {
+      writeEntry(path, inflateEntry(data, name));
+    } else {
+      throw archiveError(`Unsupported compression method ${method} of zip entry '${name}'`);
+    }
+  }
+}
+
+function inflateEntry(data, name) {
+  try {
+    return zlib.inflateRawSync(data);
+  } catch (e) {
+    throw archiveError(`Invalid zip archive, entry '${name}' can't be inflated: ${e.message}`);
+  }
+}
+
+/**
+ * Extracts an archive into a directory, which is created when missing.
+ *
+ * @param {Buffer} buffer the contents of the archive
+ * @param {string} dest
+ * @param {Object} [options]
+ * @param {Number} [options.strip=0] leading path components to remove from the entries, like `tar --strip-components`
+ */
+export function extractArchive(buffer, dest, { strip = 0 } = {}) {
+  dest = resolve(dest);
+  fs.mkdirSync(dest, { recursive: true });
+
+  switch (archiveType(buffer)) {
+    case 'tar.gz':
+      return extractTar(zlib.gunzipSync(buffer), dest, strip);
+    case 'tar':
+      return extractTar(buffer, dest, strip);
+    case 'zip':
+      return extractZip(buffer, dest, strip);
+    default:
+      throw archiveError('Unknown archive format, expected a .tar.gz, .tar or .zip');
+  }
+}
@@ -0,0 +1,35 @@
+import http2 from 'node:http2';
+import express from 'express';
+
+function inherit(proto, mixin, app) {
+  const object = Object.create(proto, Object.getOwnPropertyDescriptors(mixin));
+  return Object.create(object, {
+    app: { configurable: true, enumerable: true, writable: true, value: app },
+  });
+}
+
+/*
+ * Express sets the prototypes of requests and responses to its own, which
+ * extend those of the `http` module, and break the HTTP/2 compatibility API.
+ * The returned handler serves the HTTP/2 requests of a `http2` server with
+ * prototypes extending the HTTP/2 ones instead, and the HTTP/1 requests of
+ * the server, when `allowHTTP1` is set, as usual.
+ *
+ * @param {Express} app
+ * @returns {Function} `(req, res) => void` request listener
+ */
+export default function http2Bridge(app) {
+  const http2App = Object.create(app, {
+    request: { value: inherit(http2.Http2ServerRequest.prototype, express.request, app) },
+    response: { value: inherit(http2.Http2ServerResponse.prototype, express.response, app) },
+  });
+
+  return function(req, res) {
+    if (req.httpVersionMajor !== 2) {
+      return app(req, res);
+    }
+    // HTTP/2 has an `:authority` pseudo-header instead of `Host`
+    req.headers.host ??= req.headers[':authority'];
+    app.handle.call(http2App, req, res);
+  };
+}
@@ -0,0 +1,56 @@
+import http from 'node:http';
+import { Duplex } from 'node:stream';
+
+/*
+ * Makes a request to a request listener, e.g. an Express app, in process: the
+ * request and response are backed by an in-memory socket discarding what's
+ * written to it, so the response is only observed through its events and
+ * headers, or through what the app does with it, e.g. storing it in a cache.
+ *
+ * @param {Function} listener `(req, res) => void`
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.headers]
+ * @param {Object} [options.properties] assigned to the request, e.g. flags for the app
+ * @returns {Promise<ServerResponse>} resolves once the response is complete or closed
+ */
+export default function inject(listener, { url, method = 'GET', headers = {}, properties = {} }) {
+  const socket = new Duplex({
+    read() {},
+    write(chunk, encoding, callback) {
+      callback();
+    },
+  });
+  socket.remoteAddress = '127.0.0.1';
+  socket.setTimeout = () => socket;
+  socket.setNoDelay = () => socket;
+  socket.setKeepAlive = () => socket;
+
+  const req = new http.IncomingMessage(socket);
+  req.method = method;
+  req.url = url;
+  req.httpVersion = '1.1';
+  req.httpVersionMajor = 1;
+  req.httpVersionMinor = 1;
+  for (const [name, value] of Object.entries(headers)) {
+    req.headers[name.toLowerCase()] = value;
+    req.rawHeaders.push(name, String(value));
+  }
+  Object.assign(req, properties);
+  // no body
+  req.push(null);
+
+  const res = new http.ServerResponse(req);
+  res.assignSocket(socket);
+
+  return new Promise(resolve => {
+    // closing the socket closes the response
+    res.once('finish', () => socket.destroy());
+    res.once('close', () => {
+      socket.destroy();
+      resolve(res);
+    });
+    listener(req, res);
+  });
+}
@@ -0,0 +1,67 @@
+import vm from 'node:vm';
+import fs from 'fs-extra';
+
+import debug from '../debug.js';
+
+const { readFile } = fs;
+
+// Before Node 22, modules compiled from code cache data lose their
+// `importModuleDynamically` callback, which breaks dynamic imports.
+const supportsCodeCache = Number(process.versions.node.split('.')[0]) >= 22;
+
+/**
+ * Utility cache of module source text and V8 code cache data shared by every
+ * sandbox built from the same application, so that pre-warming a sandbox
+ * doesn't re-read and re-compile every file from disk.
+ *
+ * @public
+ */
+export default class ModuleCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Reads the source of a module, or returns the cached entry.
+   *
+   * @param {string} filePath - absolute path of the module
+   * @returns {Promise<{ source: string, cachedData: Buffer|undefined }>} entry
+   */
+  read(filePath) {
+    let entry = this.entries.get(filePath);
+    if (!entry) {
+      debug('reading module %s', filePath);
+      entry = readFile(filePath, { encoding: 'utf8' })
+        .then(source => ({ source, cachedData: undefined }));
+      // Don't cache failures, the file may appear later
+      entry.catch(() => this.entries.delete(filePath));
+      this.entries.set(filePath, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Compiles a module in the given context, using and populating the cached
+   * code data of its source.
+   *
+   * @param {string} filePath - absolute path of the module
+   * @param {Object} options - `vm.SourceTextModule` options, other than `identifier` and `cachedData`
+   * @returns {Promise<vm.SourceTextModule>} module
+   */
+  async compile(filePath, options) {
+    const entry = await this.read(filePath);
+    const module = new vm.SourceTextModule(entry.source, {
+      ...options,
+      identifier: filePath,
+      cachedData: entry.cachedData,
+    });
+    if (supportsCodeCache && !entry.cachedData) {
+      entry.cachedData = module.createCachedData();
+    }
+    return module;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
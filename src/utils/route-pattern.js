@@ -0,0 +1,51 @@
+import { deserializeRegExp } from '../regexp.js';
+
+/**
+ * Compiles a route pattern into a regular expression matching URL paths.
+ *
+ * A pattern is either a `RegExp`, a serialized `regexp:/.../` string, or a
+ * path where `*` matches any sequence of characters, e.g. `/admin/*`. Query
+ * strings are not part of the matched path.
+ *
+ * @param {string|RegExp} pattern
+ * @returns {RegExp}
+ */
+export function compileRoutePattern(pattern) {
+  pattern = deserializeRegExp(pattern);
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  const source = String(pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Finds the value of the first route pattern matching a URL.
+ *
+ * @param {Array<[RegExp, *]>} routes compiled patterns and their values, see {@link compileRoutes}
+ * @param {string} url the URL or path to match
+ * @returns {*} the matched value, or `undefined`
+ */
+export function matchRoute(routes, url) {
+  const path = url.split(/[?#]/)[0];
+  for (const [regex, value] of routes) {
+    if (regex.test(path)) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Compiles a map of route patterns to values, keeping their order.
+ *
+ * @param {Object|Array<[string|RegExp, *]>} routes
+ * @returns {Array<[RegExp, *]>}
+ */
+export function compileRoutes(routes) {
+  const entries = Array.isArray(routes) ? routes : Object.entries(routes || {});
+  return entries.map(([pattern, value]) => [compileRoutePattern(pattern), value]);
+}
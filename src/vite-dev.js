@@ -0,0 +1,135 @@
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+import debug from './debug.js';
+
+// Parameters of the functions Vite transforms SSR modules into
+const SSR_KEYS = [
+  '__vite_ssr_exports__',
+  '__vite_ssr_import_meta__',
+  '__vite_ssr_import__',
+  '__vite_ssr_dynamic_import__',
+  '__vite_ssr_exportAll__',
+];
+
+/*
+ * Runs the modules transformed by Vite inside a sandbox context, instead of
+ * the context of the server like Vite's own evaluator.
+ *
+ * @param {{}} context vm context globals
+ * @param {Function} importExternal `(path) => Promise<namespace>` loads an externalized module into the sandbox
+ */
+class SandboxEvaluator {
+  startOffset = 0;
+
+  constructor(context, importExternal) {
+    this.context = context;
+    this.importExternal = importExternal;
+  }
+
+  async runInlinedModule(runnerContext, code, module) {
+    const fn = vm.runInContext(
+      // Keep the code on the first line, so inlined source maps line up
+      `(async function(${SSR_KEYS.join(', ')}) {"use strict";${code}\n})`,
+      this.context,
+      { filename: module.file || module.id }
+    );
+    await fn(...SSR_KEYS.map(key => runnerContext[key]));
+    Object.seal(runnerContext.__vite_ssr_exports__);
+  }
+
+  runExternalModule(file) {
+    if (file.startsWith('file:')) {
+      return this.importExternal(fileURLToPath(file));
+    }
+    // Node.js builtins
+    return import(file);
+  }
+}
+
+/**
+ * Development mode backed by a Vite dev server in middleware mode. The SSR
+ * entry is loaded through Vite's module graph into each sandbox, and the Vite
+ * middlewares serve the client modules and HMR.
+ */
+export default class ViteDev {
+  /**
+   * Creates the Vite dev server.
+   *
+   * @param {Object} options
+   * @param {string} options.root the root of the Vite app
+   * @param {string} [options.configFile] path of the Vite config file, resolved from the root by default
+   * @returns {Promise<ViteDev>}
+   */
+  static async create({ root, configFile }) {
+    const { createServer } = await import('vite');
+    const server = await createServer({
+      root,
+      configFile,
+      appType: 'custom',
+      server: { middlewareMode: true },
+    });
+    return new ViteDev(server);
+  }
+
+  constructor(server) {
+    this.server = server;
+    this.root = server.config.root;
+  }
+
+  get middlewares() {
+    return this.server.middlewares;
+  }
+
+  /**
+   * Applies the Vite HTML transforms, e.g. injecting the HMR client.
+   */
+  transformIndexHtml(html, url = '/') {
+    return this.server.transformIndexHtml(url, html);
+  }
+
+  /**
+   * Builds a module runner evaluating the modules inside a sandbox.
+   *
+   * @param {{}} context vm context globals
+   * @param {Function} importExternal `(path) => Promise<namespace>` loads an externalized module into the sandbox
+   * @returns {Promise<ModuleRunner>}
+   */
+  async buildRunner(context, importExternal) {
+    const { createServerModuleRunner } = await import('vite');
+    return createServerModuleRunner(this.server.environments.ssr, {
+      hmr: false,
+      sourcemapInterceptor: false,
+      evaluator: new SandboxEvaluator(context, importExternal),
+    });
+  }
+
+  /**
+   * Calls back once files of the app stop changing, e.g. to rebuild the
+   * sandboxes.
+   *
+   * @param {Function} callback `(files) => void`
+   * @param {Number} [wait=100] ms to wait for more changes
+   */
+  onUpdate(callback, wait = 100) {
+    let timer;
+    let files = new Set();
+    const changed = file => {
+      debug('vite dev file changed; file=%s', file);
+      files.add(file);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const updated = [...files];
+        files = new Set();
+        callback(updated);
+      }, wait);
+    };
+    for (const event of ['change', 'add', 'unlink']) {
+      this.server.watcher.on(event, changed);
+    }
+  }
+
+  close() {
+    return this.server.close();
+  }
+}
@@ -0,0 +1,136 @@
+import fs from 'node:fs';
+import { join, relative } from 'node:path';
+
+import debug from './debug.js';
+
+const MANIFEST_PATHS = [
+  join('.vite', 'manifest.json'),
+  // Vite < 5
+  'manifest.json',
+];
+
+function readManifest(dir) {
+  if (!dir) {
+    return null;
+  }
+  for (const manifestPath of MANIFEST_PATHS) {
+    const path = join(dir, manifestPath);
+    try {
+      return JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        debug('unable to read manifest %s: %s', path, e.message);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * The chunks of the client build, read from the Vite manifest
+ * (`build.manifest`), used to tell the browser which scripts and styles a page
+ * needs before it has parsed the HTML.
+ *
+ * The lazily loaded chunks imported during a server render are mapped to their
+ * client counterparts through the manifest of the SSR build, which shares the
+ * source module keys of the client manifest.
+ */
+export default class ViteManifest {
+  /**
+   * Loads the manifests of the build, if there is a client manifest.
+   *
+   * @param {SsrPaths} ssrPaths
+   * @returns {ViteManifest|null}
+   */
+  static load(ssrPaths) {
+    const client = readManifest(ssrPaths.clientPath);
+    if (!client) {
+      return null;
+    }
+    const ssr = ssrPaths.ssrPath !== ssrPaths.clientPath ? readManifest(ssrPaths.ssrPath) : null;
+    return new ViteManifest(client, ssr, ssrPaths.ssrPath);
+  }
+
+  constructor(client, ssr = null, ssrPath = null) {
+    this.client = client;
+    this.ssrPath = ssrPath;
+
+    // SSR chunk file => source module key
+    this.ssrFiles = new Map();
+    for (const [key, chunk] of Object.entries(ssr || {})) {
+      this.ssrFiles.set(chunk.file, key);
+    }
+
+    this.entries = Object.keys(client).filter(key => client[key].isEntry);
+  }
+
+  /**
+   * Collects the files to preload for the given manifest keys: their chunks,
+   * the chunks they statically import and the styles of all of them.
+   *
+   * @param {string[]} keys manifest keys
+   * @returns {{ scripts: Set<string>, styles: Set<string> }} files relative to the client path
+   */
+  collect(keys) {
+    const scripts = new Set();
+    const styles = new Set();
+    const seen = new Set();
+
+    const visit = key => {
+      const chunk = this.client[key];
+      if (!chunk || seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+      if (chunk.file.endsWith('.css')) {
+        styles.add(chunk.file);
+      } else {
+        scripts.add(chunk.file);
+      }
+      (chunk.css || []).forEach(file => styles.add(file));
+      (chunk.imports || []).forEach(visit);
+    };
+    keys.forEach(visit);
+
+    return { scripts, styles };
+  }
+
+  /**
+   * Maps modules of the SSR build, as evaluated in the sandbox, to the keys of
+   * their client chunks.
+   *
+   * @param {Iterable<string>} files absolute paths of SSR modules
+   * @returns {string[]} manifest keys
+   */
+  keysForSsrFiles(files) {
+    const keys = [];
+    for (const file of files) {
+      const key = this.ssrPath && this.ssrFiles.get(relative(this.ssrPath, file).split('\\').join('/'));
+      if (key && this.client[key]) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Builds `Link` header values preloading the entry chunks, and the client
+   * chunks of the given SSR modules.
+   *
+   * @param {string} base the public path the client files are served from
+   * @param {Iterable<string>} [ssrFiles] absolute paths of SSR modules imported during the render
+   * @returns {string[]} `Link` header values
+   */
+  links(base, ssrFiles = []) {
+    const { scripts, styles } = this.collect([
+      ...this.entries,
+      ...this.keysForSsrFiles(ssrFiles),
+    ]);
+    base = base.replace(/\/?$/, '/');
+
+    return [
+      ...[...styles].map(file => `<${base}${file}>; rel=preload; as=style`),
+      ...[...scripts].map(file => `<${base}${file}>; rel=modulepreload; crossorigin`),
+    ];
+  }
+}
@@ -1,6 +1,9 @@
 import EmberSsr from './ember-ssr.js';
 import emberSsrMiddleware from './ember-ssr-express-middleware.js';
 import ExpressHTTPServer from './express-http-server.js';
+import Metrics from './metrics.js';
+import RenderLimiter from './render-limiter.js';
+import RouteRules from './route-rules.js';
 import SsrPaths from './utils/ssr-paths.js';
 
 export default class Worker {
@@ -10,6 +13,15 @@ export default class Worker {
     this.httpServer = options.httpServer;
     this.ui = options.ui;
     this.cache = options.cache;
+    this.cacheVary = options.cacheVary;
+    this.cacheKey = options.cacheKey;
+    this.purgePath = options.purgePath;
+    this.purgeToken = options.purgeToken;
+    this.prerenderPath = options.prerenderPath;
+    // purges reach every worker through the primary, when forked
+    this.requestPurge = options.requestPurge || (process.send
+      ? criteria => process.send({ event: 'purge', criteria })
+      : criteria => this.purge(criteria));
     this.gzip = options.gzip;
     this.base = options.base;
     this.host = options.host;
@@ -19,14 +31,56 @@ export default class Worker {
     this.beforeMiddleware = options.beforeMiddleware;
     this.afterMiddleware = options.afterMiddleware;
     this.buildSandboxGlobals = options.buildSandboxGlobals;
+    this.maxSandboxQueueSize = options.maxSandboxQueueSize;
+    this.fetchOptions = options.fetchOptions;
+    this.fetchShoebox = options.fetchShoebox;
     this.chunkedResponse = options.chunkedResponse;
+    this.streamingResponse = options.streamingResponse;
+    this.renderTimeout = options.renderTimeout;
+    this.renderTimeoutRoutes = options.renderTimeoutRoutes;
+    this.routeRules = options.routeRules;
+    this.renderMethods = options.renderMethods;
+    this.bodyLimit = options.bodyLimit;
+    this.visitOptions = options.visitOptions;
+    this.maxConcurrentRenders = options.maxConcurrentRenders;
+    this.maxQueuedRenders = options.maxQueuedRenders;
+    this.maxQueueWait = options.maxQueueWait;
+    this.shedPolicy = options.shedPolicy;
+    this.retryAfter = options.retryAfter;
+    this.errorPolicy = options.errorPolicy;
+    this.errorPage = options.errorPage;
+    this.errorPath = options.errorPath;
+    this.onRenderError = options.onRenderError;
+    this.preloadHeaders = options.preloadHeaders;
+    this.earlyHints = options.earlyHints;
     this.log = options.log;
+    this.vite = options.vite;
+    this.ssrEntry = options.ssrEntry;
+    this.ssrConfig = options.ssrConfig;
+    this.shutdownTimeout = options.shutdownTimeout ?? 30000;
+    this.healthChecks = options.healthChecks ?? true;
+    this.healthPaths = options.healthPaths;
+    this.requestIdHeader = options.requestIdHeader;
+    this.tls = options.tls;
+    this.http2 = options.http2;
+    this.httpRedirectPort = options.httpRedirectPort;
+    this.metrics = options.metrics ? new Metrics() : null;
+    this.metricsInterval = options.metricsInterval ?? 5000;
+    this.reportMetrics = options.reportMetrics || (metrics => process.send?.({ event: 'metrics', metrics }));
 
     if (!this.httpServer) {
       this.httpServer = new ExpressHTTPServer({
         ui: this.ui,
         ssrPaths: this.ssrPaths,
         cache: this.cache,
+        cacheVary: this.cacheVary,
+        cacheKey: this.cacheKey,
+        purgePath: this.purgePath,
+        purgeToken: this.purgeToken,
+        onPurge: criteria => this.requestPurge(criteria),
+        prerenderPath: this.prerenderPath,
+        renderMethods: this.renderMethods,
+        bodyLimit: this.bodyLimit,
         gzip: this.gzip,
         base: this.base,
         host: this.host,
@@ -36,6 +90,14 @@ export default class Worker {
         beforeMiddleware: this.beforeMiddleware,
         afterMiddleware: this.afterMiddleware,
         buildSandboxGlobals: options.buildSandboxGlobals,
+        vite: this.vite,
+        healthCheck: this.healthChecks ? () => this.health() : null,
+        healthPaths: this.healthPaths,
+        metrics: this.metrics,
+        requestIdHeader: this.requestIdHeader,
+        tls: this.tls,
+        http2: this.http2,
+        httpRedirectPort: this.httpRedirectPort,
       });
     }
 
@@ -48,68 +110,278 @@ export default class Worker {
     if (!this.httpServer.ui) {
       this.httpServer.ui = this.ui;
     }
+    if (!this.httpServer.healthCheck && this.healthChecks) {
+      this.httpServer.healthCheck = () => this.health();
+      this.httpServer.healthPaths ??= this.healthPaths;
+    }
+    if (!this.httpServer.metrics) {
+      this.httpServer.metrics = this.metrics;
+    }
   }
 
   start() {
-    if (!this.ssrPaths.hasPath) {
-      this.middleware = this.noAppMiddleware();
-    } else {
-      this.middleware = this.buildMiddleware();
+    return Promise.resolve()
+      .then(() => {
+        if (!this.ssrPaths.hasPath) {
+          this.middleware = this.noAppMiddleware();
+        } else {
+          this.middleware = this.buildMiddleware();
+        }
+
+        this.bindEvents();
+        this.startReportingMetrics();
+        return this.serveHTTP();
+      })
+      .catch(err => this.fail(err));
+  }
+
+  /*
+   * Reports a startup error to the primary, which respawns workers with a
+   * backoff, and exits.
+   */
+  fail(error) {
+    this.ui.writeError(`worker failed to start: ${error.stack}`);
+
+    // not forked in development mode
+    if (!process.send) {
+      throw error;
     }
 
-    this.bindEvents();
-    this.serveHTTP();
+    process.send(
+      { event: 'startup-error', error: error.stack },
+      () => process.exit(1) // eslint-disable-line no-process-exit
+    );
   }
 
   bindEvents() {
     process.on('message', message => this.handleMessage(message));
+
+    // not forked in development mode, the server handles the signals
+    if (process.send) {
+      for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.on(signal, () => this.exit());
+      }
+    }
+  }
+
+  /*
+   * Sends the metrics collected since the last report, to be aggregated by
+   * the primary.
+   */
+  startReportingMetrics() {
+    if (!this.metrics) {
+      return;
+    }
+    this._metricsTimer = setInterval(() => this.flushMetrics(), this.metricsInterval);
+    this._metricsTimer.unref();
+  }
+
+  flushMetrics() {
+    if (this.metrics && this.renderLimiter) {
+      // by worker, the primary replacing the gauges of a worker with its own
+      const labels = { worker: process.pid };
+      this.metrics.set('ssr_renders_active', labels, this.renderLimiter.active);
+      this.metrics.set('ssr_render_queue_depth', labels, this.renderLimiter.queued);
+    }
+    if (this.metrics?.series.size) {
+      this.reportMetrics(this.metrics.snapshot({ reset: true }));
+    }
   }
 
   handleMessage(message) {
     switch (message.event) {
       case 'reload':
-        this.ssrPaths.setPaths({
-          clientPath: message.clientPath || this.ssrPaths.clientPath,
-          ssrPath: message.ssrPath || this.ssrPaths.ssrPath,
-        });
-        if (this.ssrPaths.clientPath === this.ssrPaths.ssrPath) {
-          this.ui.writeLine('Reloading the application from distPath:', this.ssrPaths.ssrPath);
-        } else {
-          this.ui.writeLine('Reloading the application from clientPath:', this.ssrPaths.clientPath);
-          this.ui.writeLine('Reloading the application from ssrPath:', this.ssrPaths.ssrPath);
-        }
-        this.emberSsr.reload({
-          ssrPaths: this.ssrPaths,
-        });
+        this.reload(message);
         break;
       case 'error':
-        this.error = message.error;
+        // null once the app initializes again
+        this.error = message.error || null;
+        break;
+      case 'unhealthy':
+        this.unhealthy = message.unhealthy;
+        break;
+      case 'purge':
+        this.purge(message.criteria);
         break;
       case 'shutdown':
-        process.exit(0); // eslint-disable-line no-process-exit
+        this.exit(message.timeout);
+    }
+  }
+
+  /**
+   * Removes the cached responses of this worker matching the criteria, see
+   * `ResponseCache#purge`.
+   *
+   * @param {Object} criteria
+   * @returns {Promise}
+   */
+  purge(criteria) {
+    return this.httpServer.purge(criteria)
+      .then(count => {
+        if (count !== null) {
+          this.ui.writeLine(`purged cache; entries=${count}; criteria=${JSON.stringify(criteria)}`);
+        }
+      })
+      .catch(err => this.ui.writeError(`error purging cache: ${err.stack}`));
+  }
+
+  /**
+   * Stops accepting connections and waits for the in-flight requests to
+   * complete, for up to `timeout` ms.
+   *
+   * @param {Number} [timeout] defaults to the `shutdownTimeout` option
+   * @returns {Promise}
+   */
+  shutdown(timeout = this.shutdownTimeout) {
+    if (!this._shuttingDown) {
+      this.ui.writeLine(`shutting down; timeout=${timeout}ms`);
+      let closing = typeof this.httpServer.close === 'function'
+        ? Promise.resolve(this.httpServer.close(Number(timeout)))
+        : Promise.resolve();
+      this._shuttingDown = closing.finally(() => {
+        // report the requests completed while draining
+        clearInterval(this._metricsTimer);
+        this.flushMetrics();
+      });
+    }
+    return this._shuttingDown;
+  }
+
+  exit(timeout) {
+    return this.shutdown(timeout)
+      .catch(err => this.ui.writeLine(err.stack))
+      .then(() => {
+        process.send(
+          { event: 'exiting', reason: 'shutdown' },
+          () => process.exit(0) // eslint-disable-line no-process-exit
+        );
+      });
+  }
+
+  /**
+   * @typedef HealthReport
+   * @property {string} status `ok`, `loading`, `draining` or `error`
+   * @property {Boolean} ready whether the worker can take traffic
+   * @property {Number} pid
+   * @property {Number} uptime seconds since the worker started
+   * @property {Boolean} draining whether the worker is shutting down
+   * @property {Boolean} initializationError whether the primary failed downloading the app or subscribing to updates, its error being only logged, since the health checks aren't authenticated
+   * @property {Boolean} unhealthy whether the primary stopped respawning the workers that crashed too often, until the next reload
+   * @property {Object} app whether the app loaded, its build version and the pre-warmed sandboxes
+   * @property {Object|null} renders the renders running and waiting, when limited
+   */
+  /**
+   * Reports the state of the worker, served by the health check endpoints.
+   *
+   * @returns {HealthReport}
+   */
+  health() {
+    const app = this.emberSsr
+      ? this.emberSsr._app.health()
+      : { loaded: false, version: null, sandboxQueue: null };
+    const draining = Boolean(this._shuttingDown);
+    const initializationError = Boolean(this.error);
+    const unhealthy = Boolean(this.unhealthy);
+
+    let status = 'ok';
+    if (draining) {
+      status = 'draining';
+    } else if (initializationError || unhealthy || app.loaded === false) {
+      status = 'error';
+    } else if (!app.loaded) {
+      status = 'loading';
     }
+
+    return {
+      status,
+      ready: status === 'ok',
+      pid: process.pid,
+      uptime: process.uptime(),
+      draining,
+      initializationError,
+      unhealthy,
+      app,
+      renders: this.renderLimiter ? {
+        active: this.renderLimiter.active,
+        queued: this.renderLimiter.queued,
+        limit: this.renderLimiter.concurrency,
+      } : null,
+    };
+  }
+
+  reload({ clientPath, ssrPath } = {}) {
+    this.ssrPaths.setPaths({
+      clientPath: clientPath || this.ssrPaths.clientPath,
+      ssrPath: ssrPath || this.ssrPaths.ssrPath,
+    });
+    if (this.ssrPaths.clientPath === this.ssrPaths.ssrPath) {
+      this.ui.writeLine('Reloading the application from distPath:', this.ssrPaths.ssrPath);
+    } else {
+      this.ui.writeLine('Reloading the application from clientPath:', this.ssrPaths.clientPath);
+      this.ui.writeLine('Reloading the application from ssrPath:', this.ssrPaths.ssrPath);
+    }
+    this.emberSsr.reload({
+      ssrPaths: this.ssrPaths,
+    });
   }
 
   buildMiddleware() {
+    // shared by the middleware and the cache
+    const routeRules = new RouteRules(this.routeRules);
+    this.httpServer.routeRules ??= routeRules;
+    if (this.maxConcurrentRenders) {
+      this.renderLimiter = new RenderLimiter({
+        concurrency: this.maxConcurrentRenders,
+        maxQueue: this.maxQueuedRenders,
+        maxWait: this.maxQueueWait,
+      });
+    }
+
     this.emberSsr = new EmberSsr({
       ssrPaths: this.ssrPaths,
       buildSandboxGlobals: this.buildSandboxGlobals,
+      maxSandboxQueueSize: this.maxSandboxQueueSize,
+      fetchOptions: this.fetchOptions,
+      fetchShoebox: this.fetchShoebox,
+      vite: this.vite,
+      ssrEntry: this.ssrEntry,
+      ssrConfig: this.ssrConfig,
+      ui: this.ui,
     });
 
     return emberSsrMiddleware({
       emberSsr: this.emberSsr,
       chunkedResponse: this.chunkedResponse,
+      streamingResponse: this.streamingResponse,
+      renderTimeout: this.renderTimeout,
+      renderTimeoutRoutes: this.renderTimeoutRoutes,
+      routeRules,
+      visitOptions: this.visitOptions,
+      renderLimiter: this.renderLimiter,
+      shedPolicy: this.shedPolicy,
+      retryAfter: this.retryAfter,
+      errorPolicy: this.errorPolicy,
+      errorPage: this.errorPage,
+      errorPath: this.errorPath,
+      onRenderError: this.onRenderError,
+      preloadHeaders: this.preloadHeaders,
+      earlyHints: this.earlyHints,
+      metrics: this.metrics,
       log: this.log,
+      ui: this.ui,
     });
   }
 
   serveHTTP() {
     this.ui.writeLine('starting HTTP server');
-    const app = this.emberSsr._app;
-    this.httpServer.base = app.config[app.appName].rootURL;
+    if (this.emberSsr) {
+      const app = this.emberSsr._app;
+      this.httpServer.base = app.config[app.appName].rootURL;
+    }
     return this.httpServer.serve(this.middleware)
       .then(() => {
-        process.send({ event: 'http-online' });
+        // not forked in development mode
+        process.send?.({ event: 'http-online' });
       });
   }
 
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { archiveType, extractArchive } from '../src/utils/archive.js';
+import { tar, tarGz, zip } from './helpers/archives.js';
+
+const entries = {
+  'app/': '',
+  'app/index.html': '<html></html>',
+  'app/assets/app.js': 'console.log("app");',
+};
+
+describe('archive', () => {
+  const tmp = fs.mkdtempSync(join(os.tmpdir(), 'archive-test-'));
+  let count = 0;
+  const dest = () => join(tmp, String(count++));
+
+  after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  describe('archiveType', () => {
+    it('detects the type of an archive by its contents', () => {
+      assert.equal(archiveType(tarGz(entries)), 'tar.gz');
+      assert.equal(archiveType(tar(entries)), 'tar');
+      assert.equal(archiveType(zip(entries)), 'zip');
+    });
+
+    it('returns null for unknown or short contents', () => {
+      assert.equal(archiveType(Buffer.from('not an archive')), null);
+      assert.equal(archiveType(Buffer.alloc(0)), null);
+      assert.equal(archiveType(Buffer.from([0x50, 0x4b])), null);
+    });
+  });
+
+  describe('extractArchive', () => {
+    for (const [type, archive] of [
+      ['tar.gz', tarGz(entries)],
+      ['tar', tar(entries)],
+      ['zip', zip(entries)],
+      ['deflated zip', zip(entries, { deflate: true })],
+    ]) {
+      it(`extracts a ${type} archive`, () => {
+        const path = dest();
+        extractArchive(archive, path);
+        assert.equal(fs.readFileSync(join(path, 'app/index.html'), 'utf8'), '<html></html>');
+        assert.equal(fs.readFileSync(join(path, 'app/assets/app.js'), 'utf8'), 'console.log("app");');
+      });
+    }
+
+    it('strips leading path components', () => {
+      const path = dest();
+      extractArchive(tarGz(entries), path, { strip: 1 });
+      assert.ok(fs.existsSync(join(path, 'index.html')));
+      assert.ok(fs.existsSync(join(path, 'assets/app.js')));
+    });
+
+    it('rejects entries outside of the destination', () => {
+      for (const archive of [tar({ '../evil.txt': 'evil' }), zip({ 'app/../../evil.txt': 'evil' })]) {
+        assert.throws(() => extractArchive(archive, dest()), { name: 'ArchiveError', message: /outside of the destination/ });
+      }
+      assert.ok(!fs.existsSync(join(tmp, 'evil.txt')));
+    });
+
+    it('rejects unknown formats', () => {
+      assert.throws(() => extractArchive(Buffer.from('nope'), dest()), { name: 'ArchiveError' });
+    });
+
+    it('rejects truncated tar archives', () => {
+      const archive = tar({ 'big.txt': 'x'.repeat(2000) });
+      assert.throws(() => extractArchive(archive.subarray(0, 1024), dest()), { name: 'ArchiveError' });
+    });
+  });
+
+  describe('malformed zip archives', () => {
+    const name = 'index.html';
+
+    // changes a valid archive, given the offset of its only central
+    // directory entry
+    function malformed(change) {
+      const archive = zip({ [name]: 'test' }, { deflate: true });
+      change(archive, archive.readUInt32LE(archive.length - 6));
+      return archive;
+    }
+
+    const cases = {
+      'without a central directory': Buffer.concat([zip({ [name]: 'test' }).subarray(0, 40), Buffer.alloc(30)]),
+      'with a central directory past the end': malformed(archive => {
+        archive.writeUInt32LE(archive.length - 30, archive.length - 6);
+      }),
+      'with a name past the end': malformed((archive, directory) => {
+        archive.writeUInt16LE(0xfff0, directory + 28);
+      }),
+      'with a local header past the end': malformed((archive, directory) => {
+        archive.writeUInt32LE(0xfffffff0, directory + 42);
+      }),
+      'with a bad local header': malformed((archive, directory) => {
+        archive.writeUInt32LE(directory, directory + 42);
+      }),
+      'with data past the end': malformed((archive, directory) => {
+        archive.writeUInt32LE(0xffff, directory + 20);
+      }),
+      'with corrupt compressed data': malformed(archive => {
+        archive[30 + name.length] = 0xff;
+      }),
+    };
+
+    for (const [description, archive] of Object.entries(cases)) {
+      it(`rejects archives ${description}`, () => {
+        assert.throws(() => extractArchive(archive, dest()), { name: 'ArchiveError' });
+      });
+    }
+  });
+});
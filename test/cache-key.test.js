@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import CacheKey from '../src/caches/cache-key.js';
+
+const request = (url, headers = {}) => ({ url, originalUrl: url, headers });
+
+describe('CacheKey', () => {
+  describe('build', () => {
+    it('is the path and the sorted query params of the request', () => {
+      const key = new CacheKey();
+      assert.equal(key.build(request('/products')), '/products');
+      assert.equal(key.build(request('/products?sort=name&page=2')), '/products?page=2&sort=name');
+    });
+
+    it('ignores campaign params', () => {
+      const key = new CacheKey();
+      assert.equal(key.build(request('/?utm_source=mail&utm_medium=x&gclid=1&page=2')), '/?page=2');
+    });
+
+    it('keeps only the query params pages vary on', () => {
+      assert.equal(new CacheKey({ query: ['page'] }).build(request('/?page=2&sort=name')), '/?page=2');
+      assert.equal(new CacheKey({ query: false }).build(request('/?page=2')), '/');
+      assert.equal(new CacheKey({ ignoreQuery: ['ref*'] }).build(request('/?referrer=a&utm_source=b')), '/?utm_source=b');
+    });
+
+    it('varies on the host', () => {
+      const key = new CacheKey({ host: true });
+      assert.equal(key.build(request('/', { host: 'Example.com' })), 'example.com/');
+    });
+
+    it('varies on headers and cookies', () => {
+      const key = new CacheKey({ headers: ['Accept-Language'], cookies: ['locale'] });
+      assert.equal(
+        key.build(request('/', { 'accept-language': ' FR ', cookie: 'locale=fr; theme=dark' })),
+        '/ accept-language=fr cookie:locale=fr'
+      );
+      assert.equal(key.build(request('/')), '/ accept-language= cookie:locale=');
+    });
+
+    it('bypasses the cache for the Authorization header and session cookies by default', () => {
+      const key = new CacheKey();
+      assert.equal(key.build(request('/', { authorization: 'Bearer token' })), null);
+      for (const name of ['connect.sid', 'sid', '_app_session', 'session_id']) {
+        assert.equal(key.build(request('/', { cookie: `${name}=1` })), null, name);
+      }
+      assert.equal(key.build(request('/', { cookie: 'theme=dark' })), '/');
+    });
+
+    it('bypasses the cache for the configured headers and cookies', () => {
+      const key = new CacheKey({ bypass: { headers: ['X-Preview'], cookies: ['token'] } });
+      assert.equal(key.build(request('/', { 'x-preview': '1' })), null);
+      assert.equal(key.build(request('/', { cookie: 'token=1' })), null);
+      assert.equal(key.build(request('/', { authorization: 'Bearer token' })), '/');
+    });
+
+    it('is customized by the build function', () => {
+      const key = new CacheKey({}, (req, key) => req.headers['x-mobile'] === undefined ? `${key} desktop` : null);
+      assert.equal(key.build(request('/')), '/ desktop');
+      assert.equal(key.build(request('/', { 'x-mobile': '1' })), null);
+    });
+  });
+
+  describe('revalidationHeaders', () => {
+    it('drops the Authorization header and the cookies the page does not vary on', () => {
+      const key = new CacheKey({ cookies: ['locale'] });
+      const headers = key.revalidationHeaders(request('/', {
+        authorization: 'Bearer token',
+        cookie: 'locale=fr; session=secret',
+        'accept-language': 'fr',
+      }));
+
+      assert.deepEqual(headers, { cookie: 'locale=fr', 'accept-language': 'fr' });
+    });
+
+    it('drops all cookies when the page does not vary on any', () => {
+      const headers = new CacheKey().revalidationHeaders(request('/', { cookie: 'theme=dark' }));
+      assert.deepEqual(headers, {});
+    });
+  });
+});
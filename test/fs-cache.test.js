@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import FsCache from '../src/caches/fs-cache.js';
+import { fakeResponse } from './helpers/responses.js';
+
+const entry = body => ({ statusCode: 200, headers: {}, body, path: '/' });
+
+describe('FsCache', () => {
+  let path;
+
+  beforeEach(() => {
+    path = fs.mkdtempSync(join(os.tmpdir(), 'fs-cache-test-'));
+  });
+
+  afterEach(() => fs.rmSync(path, { recursive: true, force: true }));
+
+  it('needs a directory', () => {
+    assert.throws(() => new FsCache(), /needs the path of a directory/);
+  });
+
+  it('is shared by the workers', () => {
+    assert.equal(new FsCache({ path }).shared, true);
+  });
+
+  it('reads the entries written by other instances', async () => {
+    const cache = new FsCache({ path });
+    assert.equal(await cache.write('/a', entry('a'), 1), true);
+
+    const other = new FsCache({ path });
+    assert.deepEqual(await other.read('/a'), { key: '/a', ...entry('a') });
+    assert.equal(await other.read('/b'), null);
+  });
+
+  it('stores the responses put, until they expire', async t => {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    const cache = new FsCache({ path, ttl: 1000 });
+
+    assert.equal(await cache.put('/a', '<html></html>', fakeResponse({ url: '/a' })), true);
+    assert.equal((await cache.fetch('/a')).body, '<html></html>');
+
+    now += 1000;
+    assert.equal(await cache.fetch('/a'), null);
+    assert.deepEqual(fs.readdirSync(path), []);
+  });
+
+  it('ignores the entry of another key in the file of a key', async () => {
+    const cache = new FsCache({ path });
+    await cache.write('/b', entry('b'), 1);
+    fs.renameSync(cache.file('/b'), cache.file('/a'));
+
+    assert.equal(await cache.read('/a'), null);
+  });
+
+  it('removes the least recently used entries beyond maxEntries', async () => {
+    const cache = new FsCache({ path, maxEntries: 2 });
+    await cache.write('/a', entry('a'), 1);
+    await cache.write('/b', entry('b'), 1);
+    // `/b` is the least recently used
+    fs.utimesSync(cache.file('/a'), new Date(), new Date());
+    fs.utimesSync(cache.file('/b'), new Date(Date.now() - 60000), new Date(Date.now() - 60000));
+    await cache.write('/c', entry('c'), 1);
+
+    assert.deepEqual((await cache.list()).map(([key]) => key).sort(), ['/a', '/c']);
+  });
+
+  it('does not store entries larger than maxSize', async () => {
+    const cache = new FsCache({ path, maxSize: 10 });
+
+    assert.equal(await cache.write('/a', entry('a'), 11), false);
+    assert.deepEqual(await cache.list(), []);
+  });
+
+  it('purges the matching entries', async () => {
+    const cache = new FsCache({ path });
+    for (const url of ['/', '/products/1', '/products/2']) {
+      await cache.put(url, '<html></html>', fakeResponse({ url }));
+    }
+
+    assert.equal(await cache.purge({ prefixes: ['/products/'] }), 2);
+    assert.deepEqual((await cache.list()).map(([key]) => key), ['/']);
+  });
+
+  it('removes all entries when cleared', async () => {
+    const cache = new FsCache({ path });
+    await cache.write('/a', entry('a'), 1);
+    await cache.clear();
+
+    assert.deepEqual(await cache.list(), []);
+    assert.equal(cache.size, 0);
+  });
+});
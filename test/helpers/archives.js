@@ -0,0 +1,88 @@
+import zlib from 'node:zlib';
+
+/*
+ * Builds small archives in memory, from `{ [name]: contents }`, a name ending
+ * with `/` being a directory.
+ */
+
+function tarHeader(name, size, type) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100, 'utf8');
+  header.write(type === '5' ? '0000755\0' : '0000644\0', 100, 'latin1');
+  header.write('0000000\0', 108, 'latin1');
+  header.write('0000000\0', 116, 'latin1');
+  header.write(size.toString(8).padStart(11, '0') + '\0', 124, 'latin1');
+  header.write('00000000000\0', 136, 'latin1');
+  header.write(type, 156, 'latin1');
+  header.write('ustar\0' + '00', 257, 'latin1');
+  // the checksum is computed with its own field filled with spaces
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 'latin1');
+  return header;
+}
+
+export function tar(entries) {
+  const blocks = [];
+  for (const [name, contents] of Object.entries(entries)) {
+    const isDirectory = name.endsWith('/');
+    const data = Buffer.from(isDirectory ? '' : contents);
+    blocks.push(tarHeader(name, data.length, isDirectory ? '5' : '0'));
+    blocks.push(data, Buffer.alloc(Math.ceil(data.length / 512) * 512 - data.length));
+  }
+  // the archive ends with two empty blocks
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+export function tarGz(entries) {
+  return zlib.gzipSync(tar(entries));
+}
+
+export function zip(entries, { deflate = false } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, contents] of Object.entries(entries)) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(name.endsWith('/') ? '' : contents);
+    const method = deflate && data.length ? 8 : 0;
+    const compressed = method === 8 ? zlib.deflateRawSync(data) : data;
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(entries).length, 8);
+  end.writeUInt16LE(Object.keys(entries).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
@@ -0,0 +1,30 @@
+/*
+ * A complete Express response, as given to `ResponseCache#put`, of a
+ * request to `url`.
+ */
+export function fakeResponse({
+  statusCode = 200,
+  method = 'GET',
+  url = '/',
+  requestHeaders = {},
+  headers = {},
+  locals = {},
+} = {}) {
+  const responseHeaders = { 'content-type': 'text/html; charset=utf-8' };
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined) {
+      delete responseHeaders[name.toLowerCase()];
+    } else {
+      responseHeaders[name.toLowerCase()] = value;
+    }
+  }
+
+  return {
+    statusCode,
+    locals,
+    req: { method, url, originalUrl: url, headers: requestHeaders },
+    getHeader: name => responseHeaders[name.toLowerCase()],
+    hasHeader: name => name.toLowerCase() in responseHeaders,
+    getHeaders: () => ({ ...responseHeaders }),
+  };
+}
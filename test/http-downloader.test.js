@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import { join } from 'node:path';
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import HttpDownloader from '../src/downloaders/http-downloader.js';
+import { tarGz } from './helpers/archives.js';
+
+const sha256 = buffer => createHash('sha256').update(buffer).digest('hex');
+
+const ui = { writeLine() {}, writeError() {} };
+
+describe('HttpDownloader', () => {
+  let server;
+  let baseUrl;
+  let tmp;
+  // the files served by path, and the requests received
+  let files;
+  let requests;
+
+  function release(version) {
+    const archive = tarGz({ 'index.html': `<html>${version}</html>`, 'package.json': '{}' });
+    return { archive, checksum: sha256(archive), etag: `"${version}"` };
+  }
+
+  function serveRelease(version, { checksum } = {}) {
+    const { archive, etag, checksum: actual } = release(version);
+    files['/app.tar.gz'] = { body: archive, etag };
+    files['/app.tar.gz.sha256'] = { body: `${checksum ?? actual}  app.tar.gz\n` };
+    files['/latest.json'] = {
+      body: JSON.stringify({ version, url: `releases/app-${version}.tar.gz`, checksum: checksum ?? actual }),
+    };
+    files[`/releases/app-${version}.tar.gz`] = { body: archive };
+  }
+
+  const downloads = path => requests.filter(req => req.url === path && req.status === 200).length;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const file = files[req.url];
+      let status = 200;
+      if (!file) {
+        status = 404;
+      } else if (file.etag && req.headers['if-none-match'] === file.etag) {
+        status = 304;
+      }
+      requests.push({ url: req.url, status, ifNoneMatch: req.headers['if-none-match'] });
+
+      if (status !== 200) {
+        return res.writeHead(status).end();
+      }
+      res.writeHead(200, file.etag ? { ETag: file.etag } : {}).end(file.body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(join(os.tmpdir(), 'http-downloader-test-'));
+    files = {};
+    requests = [];
+  });
+
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  describe('with a url', () => {
+    const downloader = () => new HttpDownloader({ url: `${baseUrl}/app.tar.gz`, path: tmp, ui });
+
+    it('downloads, verifies and unpacks the archive', async () => {
+      serveRelease('1.0.0');
+
+      const { distPath } = await downloader().download();
+
+      assert.equal(fs.readFileSync(join(distPath, 'index.html'), 'utf8'), '<html>1.0.0</html>');
+      assert.equal(downloads('/app.tar.gz.sha256'), 1);
+    });
+
+    it('requests the archive conditionally and keeps the unpacked version when not modified', async () => {
+      serveRelease('1.0.0');
+      const first = await downloader().download();
+
+      // e.g. after a restart, the state being read from the releases directory
+      const second = await downloader().download();
+
+      assert.deepEqual(second, first);
+      assert.equal(downloads('/app.tar.gz'), 1);
+      assert.deepEqual(requests.filter(req => req.url === '/app.tar.gz').map(req => req.status), [200, 304]);
+      assert.equal(requests.at(-1).ifNoneMatch, '"1.0.0"');
+    });
+
+    it('downloads the archive again once modified', async () => {
+      serveRelease('1.0.0');
+      const instance = downloader();
+      const first = await instance.download();
+
+      serveRelease('1.1.0');
+      const second = await instance.download();
+
+      assert.notDeepEqual(second, first);
+      assert.equal(fs.readFileSync(join(second.distPath, 'index.html'), 'utf8'), '<html>1.1.0</html>');
+      assert.equal(downloads('/app.tar.gz'), 2);
+      assert.equal(instance.versions.length, 2);
+    });
+
+    it('rejects an archive not matching its checksum', async () => {
+      serveRelease('1.0.0', { checksum: sha256('something else') });
+
+      await assert.rejects(downloader().download(), { name: 'ChecksumError' });
+      assert.deepEqual(fs.readdirSync(tmp), []);
+    });
+
+    it('keeps the current version when the new archive does not match its checksum', async () => {
+      serveRelease('1.0.0');
+      const instance = downloader();
+      const first = await instance.download();
+
+      serveRelease('1.1.0', { checksum: sha256('something else') });
+      const second = await instance.download();
+
+      assert.deepEqual(second, first);
+      assert.equal(instance.versions.length, 1);
+    });
+
+    it('rejects a missing archive as not found', async () => {
+      await assert.rejects(downloader().download(), { name: 'AppNotFoundError' });
+    });
+  });
+
+  describe('with a manifest', () => {
+    const downloader = () => new HttpDownloader({ manifestUrl: `${baseUrl}/latest.json`, path: tmp, ui });
+
+    it('downloads the release of the manifest, relative to it, once', async () => {
+      serveRelease('1.0.0');
+      const instance = downloader();
+
+      const { distPath } = await instance.download();
+      await instance.download();
+
+      assert.equal(fs.readFileSync(join(distPath, 'index.html'), 'utf8'), '<html>1.0.0</html>');
+      assert.equal(downloads('/releases/app-1.0.0.tar.gz'), 1);
+      assert.equal(instance.current, '1.0.0');
+    });
+
+    it('rejects a release not matching its checksum', async () => {
+      serveRelease('1.0.0', { checksum: sha256('something else') });
+
+      await assert.rejects(downloader().download(), { name: 'ChecksumError' });
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import MemoryCache from '../src/caches/memory-cache.js';
+
+const entry = body => ({ statusCode: 200, headers: {}, body });
+
+describe('MemoryCache', () => {
+  it('reads the entries written', () => {
+    const cache = new MemoryCache();
+    assert.equal(cache.write('/a', entry('a'), 1), true);
+    assert.deepEqual(cache.read('/a'), entry('a'));
+    assert.equal(cache.read('/b'), null);
+  });
+
+  it('evicts the least recently used entries beyond maxEntries', () => {
+    const cache = new MemoryCache({ maxEntries: 2 });
+    cache.write('/a', entry('a'), 1);
+    cache.write('/b', entry('b'), 1);
+    // `/a` becomes the most recently used
+    cache.read('/a');
+    cache.write('/c', entry('c'), 1);
+
+    assert.deepEqual(cache.list().map(([key]) => key), ['/a', '/c']);
+  });
+
+  it('evicts the least recently used entries beyond maxSize', () => {
+    const cache = new MemoryCache({ maxSize: 10 });
+    cache.write('/a', entry('a'), 4);
+    cache.write('/b', entry('b'), 4);
+    cache.write('/c', entry('c'), 4);
+
+    assert.deepEqual(cache.list().map(([key]) => key), ['/b', '/c']);
+    assert.equal(cache.size, 8);
+  });
+
+  it('does not store entries larger than maxSize', () => {
+    const cache = new MemoryCache({ maxSize: 10 });
+    cache.write('/a', entry('a'), 4);
+
+    assert.equal(cache.write('/b', entry('b'), 11), false);
+    assert.deepEqual(cache.list().map(([key]) => key), ['/a']);
+  });
+
+  it('keeps track of the size when entries are replaced and removed', () => {
+    const cache = new MemoryCache();
+    cache.write('/a', entry('a'), 4);
+    cache.write('/a', entry('a2'), 6);
+    cache.write('/b', entry('b'), 3);
+    assert.equal(cache.size, 9);
+
+    cache.remove('/a');
+    cache.remove('/missing');
+    assert.equal(cache.size, 3);
+
+    cache.clear();
+    assert.equal(cache.size, 0);
+    assert.deepEqual(cache.list(), []);
+  });
+});
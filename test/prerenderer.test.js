@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import Prerenderer, { MANIFEST_FILE, ROOT_PAGE_FILE, pageFile, pageUrl, readManifest } from '../src/prerenderer.js';
+
+// an app rendering the pages by URL, 404 for the others
+function fakeEmberSsr(clientPath, pages = {}, rootURL = '/') {
+  return {
+    ssrPaths: { clientPath },
+    _app: { appName: 'app', config: { app: { rootURL } } },
+    async visit(url) {
+      const page = pages[url];
+      if (page === undefined) {
+        return { error: Object.assign(new Error(`Unrecognized URL: ${url}`), { name: 'UnrecognizedURLError' }) };
+      }
+      if (typeof page === 'number') {
+        return { statusCode: page, headers: new Headers({ location: '/' }) };
+      }
+      return { statusCode: 200, headers: new Headers(), html: async () => page };
+    },
+  };
+}
+
+describe('Prerenderer', () => {
+  let path;
+
+  beforeEach(() => {
+    path = fs.mkdtempSync(join(os.tmpdir(), 'prerenderer-test-'));
+  });
+
+  afterEach(() => fs.rmSync(path, { recursive: true, force: true }));
+
+  const manifest = () => JSON.parse(fs.readFileSync(join(path, MANIFEST_FILE), 'utf8'));
+
+  describe('pageUrl', () => {
+    it('is the path of the URL, without trailing slash', () => {
+      assert.equal(pageUrl('/'), '/');
+      assert.equal(pageUrl('/about/'), '/about');
+      assert.equal(pageUrl('/docs?page=2#intro'), '/docs');
+      assert.equal(pageUrl('about'), '/about');
+    });
+  });
+
+  describe('pageFile', () => {
+    it('is the index.html of the directory of the URL', () => {
+      assert.equal(pageFile('/'), 'index.html');
+      assert.equal(pageFile('/docs/guide/'), 'docs/guide/index.html');
+      assert.equal(pageFile('/caf%C3%A9'), 'café/index.html');
+    });
+  });
+
+  describe('readManifest', () => {
+    it('is empty when nothing was prerendered', async () => {
+      assert.deepEqual(await readManifest(path), { pages: {} });
+
+      fs.writeFileSync(join(path, MANIFEST_FILE), 'invalid');
+      assert.deepEqual(await readManifest(path), { pages: {} });
+    });
+
+    it('lists the files of the pages by URL', async () => {
+      fs.writeFileSync(join(path, MANIFEST_FILE), JSON.stringify({ createdAt: 'now', pages: { '/': 'index.html' } }));
+      assert.deepEqual(await readManifest(path), { createdAt: 'now', pages: { '/': 'index.html' } });
+    });
+  });
+
+  describe('run', () => {
+    it('writes the pages rendered with a 200 status code and reports the others', async () => {
+      const emberSsr = fakeEmberSsr(join(path, 'client'), { '/': '<p>home</p>', '/about': '<p>about</p>', '/old': 301 });
+      const prerenderer = new Prerenderer({ emberSsr, outputPath: path });
+      const { pages, written, failed } = await prerenderer.run(['/', '/about/', '/old', '/missing']);
+
+      assert.deepEqual(pages.map(page => page.url), ['/', '/about', '/missing', '/old']);
+      assert.deepEqual(written.map(page => page.file), ['index.html', 'about/index.html']);
+      assert.deepEqual(failed.map(({ url, statusCode }) => [url, statusCode]), [['/missing', 404], ['/old', 301]]);
+      assert.equal(failed[1].location, '/');
+      assert.equal(fs.readFileSync(join(path, 'about/index.html'), 'utf8'), '<p>about</p>');
+      assert.deepEqual(manifest().pages, { '/': 'index.html', '/about': 'about/index.html' });
+    });
+
+    it('writes the root page aside the template of the client path', async () => {
+      const emberSsr = fakeEmberSsr(path, { '/': '<p>home</p>' });
+      const { written } = await new Prerenderer({ emberSsr }).run(['/']);
+
+      assert.equal(written[0].file, ROOT_PAGE_FILE);
+      assert.equal(fs.existsSync(join(path, 'index.html')), false);
+    });
+
+    it('keeps the pages of the previous runs, but those not rendered anymore', async () => {
+      const pages = { '/': '<p>home</p>', '/a': '<p>a</p>', '/b': '<p>b</p>' };
+      const prerenderer = new Prerenderer({ emberSsr: fakeEmberSsr(join(path, 'client'), pages), outputPath: path });
+      await prerenderer.run(['/', '/a', '/b']);
+
+      delete pages['/a'];
+      pages['/c'] = '<p>c</p>';
+      await prerenderer.run(['/c', '/a']);
+
+      assert.deepEqual(manifest().pages, {
+        '/': 'index.html',
+        '/b': 'b/index.html',
+        '/c': 'c/index.html',
+      });
+    });
+
+    it('follows the links to the other pages of the app when crawling', async () => {
+      const emberSsr = fakeEmberSsr(join(path, 'client'), {
+        '/': '<a href="/docs">Docs</a> <a href="https://example.com/">Elsewhere</a>',
+        '/docs': '<a href="/docs/guide">Guide</a> <a href="/">Home</a>',
+        '/docs/guide': '<a href="/docs/guide.pdf">PDF</a>',
+      });
+      const { pages } = await new Prerenderer({ emberSsr, outputPath: path, crawl: true }).run(['/']);
+
+      assert.deepEqual(pages.map(page => page.url), ['/', '/docs', '/docs/guide']);
+    });
+
+    it('stops following links beyond maxPages', async () => {
+      const emberSsr = fakeEmberSsr(join(path, 'client'), { '/': '<a href="/a">A</a> <a href="/b">B</a>' });
+      const errors = [];
+      const ui = { writeLine() {}, writeError: message => errors.push(message) };
+      const { pages } = await new Prerenderer({ emberSsr, outputPath: path, crawl: true, maxPages: 2, ui }).run(['/']);
+
+      assert.deepEqual(pages.map(page => page.url), ['/', '/a']);
+      assert.ok(errors.includes('not following links beyond 2 pages; url=/b'));
+    });
+  });
+
+  describe('links', () => {
+    it('are the paths of the links to the app, relative to its rootURL', () => {
+      const prerenderer = new Prerenderer({ emberSsr: fakeEmberSsr(path, {}, '/blog/'), outputPath: path });
+      const html = `
+        <a href="/blog/posts/1?ref=home">Post</a>
+        <a class="x" href='tags'>Tags</a>
+        <a href=/blog>Home</a>
+        <a href="/blog/posts?a=1&amp;b=2">Posts</a>
+        <a href="/about">Outside of the app</a>
+        <a href="http://other.com/blog/">Other origin</a>
+        <a href="/blog/feed.xml">File</a>
+        <a href="http://[invalid">Invalid</a>
+      `;
+
+      assert.deepEqual(prerenderer.links('/posts', html), ['/posts/1', '/tags', '/', '/posts']);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import RenderLimiter from '../src/render-limiter.js';
+
+// whether the promise settled, once the pending callbacks have run
+async function isSettled(promise) {
+  let settled = false;
+  promise.then(() => settled = true, () => settled = true);
+  await new Promise(resolve => setImmediate(resolve));
+  return settled;
+}
+
+describe('RenderLimiter', () => {
+  // the renders left waiting by a test leave the queue once it ends
+  let controller;
+  const acquireUntilEnd = limiter => {
+    const waiting = limiter.acquire(controller.signal);
+    waiting.catch(() => {});
+    return waiting;
+  };
+
+  beforeEach(() => {
+    controller = new AbortController();
+  });
+
+  afterEach(() => controller.abort());
+
+  it('starts renders up to the concurrency at once', async () => {
+    const limiter = new RenderLimiter({ concurrency: 2 });
+    await limiter.acquire();
+    await limiter.acquire();
+
+    const waiting = acquireUntilEnd(limiter);
+    assert.equal(await isSettled(waiting), false);
+    assert.equal(limiter.active, 2);
+    assert.equal(limiter.queued, 1);
+  });
+
+  it('passes the slot of a render on to the oldest waiting one', async () => {
+    const limiter = new RenderLimiter({ concurrency: 1 });
+    const release = await limiter.acquire();
+    const started = [];
+    const first = limiter.acquire().then(release => {
+      started.push('first');
+      return release;
+    });
+    const second = limiter.acquire().then(() => started.push('second'));
+
+    release();
+    (await first)();
+    await second;
+
+    assert.deepEqual(started, ['first', 'second']);
+    assert.equal(limiter.active, 1);
+    assert.equal(limiter.queued, 0);
+  });
+
+  it('frees the slot of a render released twice once', async () => {
+    const limiter = new RenderLimiter({ concurrency: 1 });
+    const release = await limiter.acquire();
+    release();
+    release();
+
+    assert.equal(limiter.active, 0);
+  });
+
+  it('sheds renders once the queue is full', async () => {
+    const limiter = new RenderLimiter({ concurrency: 1, maxQueue: 1 });
+    await limiter.acquire();
+    acquireUntilEnd(limiter);
+
+    await assert.rejects(limiter.acquire(), { name: 'RenderQueueFullError' });
+    assert.equal(limiter.queued, 1);
+  });
+
+  it('sheds renders waiting for longer than maxWait', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const limiter = new RenderLimiter({ concurrency: 1, maxWait: 1000 });
+    await limiter.acquire();
+    const waiting = limiter.acquire();
+
+    t.mock.timers.tick(999);
+    assert.equal(await isSettled(waiting), false);
+    t.mock.timers.tick(1);
+
+    await assert.rejects(waiting, { name: 'RenderQueueTimeoutError' });
+    assert.equal(limiter.queued, 0);
+  });
+
+  it('leaves the queue once aborted', async () => {
+    const limiter = new RenderLimiter({ concurrency: 1 });
+    const release = await limiter.acquire();
+    const aborting = new AbortController();
+    const aborted = limiter.acquire(aborting.signal);
+    const next = limiter.acquire();
+
+    aborting.abort();
+    await assert.rejects(aborted, { name: 'AbortError' });
+    assert.equal(limiter.queued, 1);
+
+    release();
+    assert.equal(typeof await next, 'function');
+  });
+
+  it('rejects renders already aborted', async () => {
+    const limiter = new RenderLimiter({ concurrency: 1 });
+    await assert.rejects(limiter.acquire(AbortSignal.abort()), { name: 'AbortError' });
+    assert.equal(limiter.active, 0);
+  });
+});
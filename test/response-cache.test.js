@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import MemoryCache from '../src/caches/memory-cache.js';
+import ResponseCache from '../src/caches/response-cache.js';
+import { fakeResponse } from './helpers/responses.js';
+
+describe('ResponseCache', () => {
+  let now;
+
+  beforeEach(t => {
+    now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+  });
+
+  describe('put', () => {
+    it('stores complete HTML responses to GET requests', async () => {
+      const cache = new MemoryCache();
+      const res = fakeResponse({
+        url: '/products/1?page=2',
+        headers: { 'Surrogate-Key': 'products product-1', 'Cache-Control': 'public' },
+      });
+
+      assert.equal(await cache.put('/products/1', '<html></html>', res), true);
+
+      const entry = await cache.fetch('/products/1');
+      assert.equal(entry.statusCode, 200);
+      assert.equal(entry.body, '<html></html>');
+      assert.equal(entry.path, '/products/1');
+      assert.deepEqual(entry.surrogateKeys, ['products', 'product-1']);
+      assert.equal(entry.storedAt, now);
+      assert.equal(entry.expires, now + 60000);
+    });
+
+    it('does not replay the headers of the transfer or of the request', async () => {
+      const cache = new MemoryCache();
+      await cache.put('/', '', fakeResponse({
+        headers: { 'X-Request-Id': 'abc', 'Content-Length': '10', 'Content-Encoding': 'gzip', 'X-Custom': 'kept' },
+      }));
+
+      const { headers } = await cache.fetch('/');
+      assert.deepEqual(Object.keys(headers).sort(), ['content-type', 'x-custom']);
+    });
+
+    for (const [description, options] of Object.entries({
+      'to other methods than GET': { method: 'POST' },
+      'with other status codes': { statusCode: 404 },
+      'of other types than HTML': { headers: { 'Content-Type': 'application/json' } },
+      'setting cookies': { headers: { 'Set-Cookie': 'a=1' } },
+      'with a private Cache-Control': { headers: { 'Cache-Control': 'private' } },
+      'with a no-store Cache-Control': { headers: { 'Cache-Control': 'no-store' } },
+      'with a no-cache Cache-Control': { headers: { 'Cache-Control': 'no-cache' } },
+      'with a zero max-age': { headers: { 'Cache-Control': 'max-age=0' } },
+      'varying on other headers': { headers: { Vary: 'Accept-Encoding, Cookie' } },
+      'of client shells': { headers: { 'X-SSR-Fallback': 'timeout' } },
+      'streamed': { headers: { Trailer: 'X-SSR-Status' } },
+      'to requests with cookies': { requestHeaders: { cookie: 'theme=dark' } },
+      'to requests with an Authorization': { requestHeaders: { authorization: 'Bearer token' } },
+    })) {
+      it(`does not store responses ${description}`, async () => {
+        const cache = new MemoryCache();
+        assert.equal(await cache.put('/', '<html></html>', fakeResponse(options)), false);
+        assert.equal(await cache.fetch('/'), null);
+      });
+    }
+
+    it('stores responses to requests with an Authorization when public', async () => {
+      const cache = new MemoryCache();
+      for (const cacheControl of ['public', 's-maxage=60']) {
+        const res = fakeResponse({ requestHeaders: { authorization: 'Bearer token' }, headers: { 'Cache-Control': cacheControl } });
+        assert.equal(await cache.put('/', '<html></html>', res), true);
+      }
+    });
+
+    it('stores responses varying on the headers and cookies of the cache keys', async () => {
+      const cache = new MemoryCache({ varyHeaders: ['Accept-Language'], varyCookies: ['locale'] });
+      const res = fakeResponse({
+        requestHeaders: { cookie: 'locale=fr' },
+        headers: { Vary: 'Accept-Encoding, Accept-Language' },
+      });
+      assert.equal(await cache.put('/', '<html></html>', res), true);
+    });
+
+    it('stores responses with the configured status codes', async () => {
+      const cache = new MemoryCache({ statusCodes: [200, 404] });
+      assert.equal(await cache.put('/gone', '<html></html>', fakeResponse({ statusCode: 404 })), true);
+      assert.equal((await cache.fetch('/gone')).statusCode, 404);
+    });
+
+    it('does not store entries larger than the cache', async () => {
+      const cache = new MemoryCache({ maxSize: 100 });
+      assert.equal(await cache.put('/', 'x'.repeat(200), fakeResponse()), false);
+      assert.equal(await cache.fetch('/'), null);
+    });
+  });
+
+  describe('responseTtl', () => {
+    const ttl = (options, cacheOptions) => new MemoryCache(cacheOptions).responseTtl(fakeResponse(options));
+
+    it('defaults to the ttl of the cache', () => {
+      assert.equal(ttl({}), 60000);
+      assert.equal(ttl({}, { ttl: 5000 }), 5000);
+    });
+
+    it('follows the s-maxage or max-age of the response', () => {
+      assert.equal(ttl({ headers: { 'Cache-Control': 'max-age=30' } }), 30000);
+      assert.equal(ttl({ headers: { 'Cache-Control': 'max-age=30, s-maxage=120' } }), 120000);
+    });
+
+    it('prefers the cacheTtl of the route', () => {
+      assert.equal(ttl({ headers: { 'Cache-Control': 'max-age=30' }, locals: { cacheTtl: 1000 } }), 1000);
+      assert.equal(ttl({ locals: { cacheTtl: 0 } }), 0);
+    });
+
+    it('is capped by maxTtl', () => {
+      assert.equal(ttl({ headers: { 'Cache-Control': 'max-age=3600' } }, { maxTtl: 10000 }), 10000);
+    });
+  });
+
+  describe('fetch', () => {
+    it('serves expired entries stale for their stale-while-revalidate', async () => {
+      const cache = new MemoryCache();
+      await cache.put('/', '<html></html>', fakeResponse({ headers: { 'Cache-Control': 'max-age=10, stale-while-revalidate=20' } }));
+
+      now += 10000;
+      assert.equal((await cache.fetch('/')).stale, true);
+
+      now += 20000;
+      assert.equal(await cache.fetch('/'), null);
+      assert.equal(cache.entries.size, 0);
+    });
+
+    it('serves expired entries stale for staleWhileRevalidate by default', async () => {
+      const cache = new MemoryCache({ ttl: 1000, staleWhileRevalidate: 5000 });
+      await cache.put('/', '<html></html>', fakeResponse());
+
+      now += 500;
+      assert.equal((await cache.fetch('/')).stale, undefined);
+      now += 1000;
+      assert.equal((await cache.fetch('/')).stale, true);
+      now += 5000;
+      assert.equal(await cache.fetch('/'), null);
+    });
+  });
+
+  describe('purge', () => {
+    let cache;
+
+    beforeEach(async () => {
+      cache = new MemoryCache();
+      for (const [url, surrogateKey] of [['/', 'home'], ['/products/1', 'product-1'], ['/products/2', 'product-2'], ['/about', 'about']]) {
+        await cache.put(url, '<html></html>', fakeResponse({ url, headers: { 'Surrogate-Key': surrogateKey } }));
+      }
+    });
+
+    const keys = () => cache.list().map(([key]) => key).sort();
+
+    it('removes the entries of paths', async () => {
+      assert.equal(await cache.purge({ paths: ['/', '/missing'] }), 1);
+      assert.deepEqual(keys(), ['/about', '/products/1', '/products/2']);
+    });
+
+    it('removes the entries of path prefixes', async () => {
+      assert.equal(await cache.purge({ prefixes: ['/products/'] }), 2);
+      assert.deepEqual(keys(), ['/', '/about']);
+    });
+
+    it('removes the entries tagged with surrogate keys', async () => {
+      assert.equal(await cache.purge({ surrogateKeys: ['product-2', 'about'] }), 2);
+      assert.deepEqual(keys(), ['/', '/products/1']);
+    });
+
+    it('removes all entries', async () => {
+      assert.equal(await cache.purge({ all: true }), 4);
+      assert.deepEqual(keys(), []);
+    });
+  });
+
+  it('needs the storage of subclasses', async () => {
+    const cache = new ResponseCache();
+    await assert.rejects(cache.fetch('/'), /ResponseCache must implement read\(\)/);
+  });
+});
@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import SsrHeaders from '../src/ssr-headers.js';
+
+describe('SsrHeaders', () => {
+  describe('constructor', () => {
+    it('takes the headers of a Node request, by name', () => {
+      const headers = new SsrHeaders({
+        Host: 'example.com',
+        'set-cookie': ['a=1', 'b=2'],
+        ':path': '/',
+        'x-missing': undefined,
+      });
+
+      assert.equal(headers.get('host'), 'example.com');
+      assert.deepEqual(headers.getSetCookie(), ['a=1', 'b=2']);
+      assert.deepEqual([...headers.keys()], ['host', 'set-cookie', 'set-cookie']);
+    });
+
+    it('takes [name, value] pairs, e.g. of other headers', () => {
+      const headers = new SsrHeaders(new Headers([['Accept', 'text/html'], ['X-A', '1']]));
+      assert.deepEqual([...new SsrHeaders(headers)], [['accept', 'text/html'], ['x-a', '1']]);
+    });
+
+    it('rejects invalid headers', () => {
+      assert.throws(() => new SsrHeaders('a: 1'), TypeError);
+      assert.throws(() => new SsrHeaders([['a']]), TypeError);
+      assert.throws(() => new SsrHeaders([['a', '1', '2']]), TypeError);
+      assert.throws(() => new SsrHeaders(['ab']), TypeError);
+    });
+  });
+
+  it('matches names case-insensitively', () => {
+    const headers = new SsrHeaders();
+    headers.set('Content-Type', 'text/html');
+
+    assert.equal(headers.get('content-type'), 'text/html');
+    assert.equal(headers.has('CONTENT-TYPE'), true);
+    headers.delete('content-TYPE');
+    assert.equal(headers.has('content-type'), false);
+    assert.equal(headers.get('content-type'), null);
+  });
+
+  it('combines the values appended, but for Set-Cookie', () => {
+    const headers = new SsrHeaders();
+    headers.append('Accept', 'text/html');
+    headers.append('accept', 'application/json');
+    headers.append('Set-Cookie', 'a=1; Path=/');
+    headers.append('Set-Cookie', 'b=2');
+
+    assert.equal(headers.get('accept'), 'text/html, application/json');
+    assert.deepEqual(headers.getAll('accept'), ['text/html', 'application/json']);
+    assert.deepEqual([...headers.entries()], [
+      ['accept', 'text/html, application/json'],
+      ['set-cookie', 'a=1; Path=/'],
+      ['set-cookie', 'b=2'],
+    ]);
+  });
+
+  it('replaces the values set', () => {
+    const headers = new SsrHeaders({ 'x-a': ['1', '2'] });
+    headers.set('X-A', '3');
+    assert.deepEqual(headers.getAll('x-a'), ['3']);
+  });
+
+  it('strips the whitespace around values', () => {
+    const headers = new SsrHeaders();
+    headers.set('x-a', ' \t1 2\n ');
+    assert.equal(headers.get('x-a'), '1 2');
+  });
+
+  it('rejects invalid names and values', () => {
+    const headers = new SsrHeaders();
+    assert.throws(() => headers.set('bad name', '1'), { name: 'TypeError', message: /Invalid header name/ });
+    assert.throws(() => headers.append('x-a', 'a\r\nb: 1'), { name: 'TypeError', message: /Invalid header value/ });
+    assert.throws(() => headers.get('a:b'), TypeError);
+  });
+
+  it('iterates over the entries sorted by name', () => {
+    const headers = new SsrHeaders({ b: '2', a: '1' });
+    const seen = [];
+    headers.forEach(function(value, name, target) {
+      seen.push([name, value, target === headers, this]);
+    }, 'context');
+
+    assert.deepEqual([...headers], [['a', '1'], ['b', '2']]);
+    assert.deepEqual([...headers.keys()], ['a', 'b']);
+    assert.deepEqual([...headers.values()], ['1', '2']);
+    assert.deepEqual(seen, [['a', '1', true, 'context'], ['b', '2', true, 'context']]);
+    assert.throws(() => headers.forEach(), TypeError);
+  });
+
+  it('is tagged like the Headers of the Fetch API', () => {
+    assert.equal(Object.prototype.toString.call(new SsrHeaders()), '[object Headers]');
+  });
+});